@@ -0,0 +1,529 @@
+/**
+ * Bubble Rhythm — beatmap files
+ * - Versioned JSON chart format: validate, serialize, content hash
+ * - osu!standard .osu import
+ * - No DOM: loads as a plain <script> (window.BubbleBeatmap) or from Node (require("./beatmap.js"))
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./engine.js"));
+  else root.BubbleBeatmap = factory(root.BubbleEngine);
+})(typeof self !== "undefined" ? self : this, function (Engine) {
+  "use strict";
+
+  // ---------------------- Beatmap Files (JSON) ----------------------
+  /**
+   * Versioned JSON chart format:
+   * {
+   *   format: "bubble-rhythm-beatmap", version: 2,
+   *   title, durationMs, bpm?, offsetMs?,
+   *   audio?,     // file name of the music track (loaded separately by the player)
+   *   leadInMs?,  // extra silence before the track starts
+   *   sections?: [{ name, tMs }, ...], // v2: named parts of the chart (results breakdown, editor strip)
+   *   difficulty?: { ar?, od?, cs?, hp? }, // v2: 0..10, osu! scales; derive approach time, hit windows, bubble size, HP drain
+   *   timing: { preemptMs?, hitWindowMs?, afterMs?, perfectMs?, goodMs?, okMs? },
+   *   notes: [{ tMs, xN, yN, rN?, hitsound? }, ...] // v2 hitsound: "normal" | "whistle" | "finish" | "clap"
+   * }
+   * Timing values override the matching engine config entries for that map only.
+   *
+   * Sliders (v2) are notes with type "slider": the head is (xN, yN) at tMs, the rest of the path follows.
+   *   { type: "slider", tMs, endMs, xN, yN, rN?,
+   *     path: { curve: "linear"|"bezier"|"arc", points: [{ xN, yN }, ...] },
+   *     slides?,  // passes over the path, default 1 (2 = there and back)
+   *     tickMs? } // tick spacing, default one beat (bpm) or the engine fallback
+   *
+   * Spinners (v2) cover tMs..endMs at the playfield centre (no xN/yN):
+   *   { type: "spinner", tMs, endMs, rotations? } // rotations default from the span length
+   *
+   * Charts that use none of the v2 fields are saved as version 1, so older players still read them;
+   * anything else is saved as version 2, which those players refuse instead of playing it wrong.
+   * Version 1 files are read as before.
+   */
+  const BEATMAP_FORMAT = "bubble-rhythm-beatmap";
+  const BEATMAP_VERSION = 2;
+
+  function isFiniteNumber(v) { return typeof v === "number" && Number.isFinite(v); }
+  function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+
+  function parseSliderFields(n, i, note) {
+    if (!isFiniteNumber(n.endMs) || n.endMs <= n.tMs) throw new Error(`Note ${i}: slider endMs must be after tMs`);
+    const path = n.path;
+    if (!path || typeof path !== "object") throw new Error(`Note ${i}: slider path missing`);
+    if (!Engine.SLIDER_CURVES.includes(path.curve)) throw new Error(`Note ${i}: unknown slider curve "${path.curve}"`);
+    if (!Array.isArray(path.points) || path.points.length === 0) throw new Error(`Note ${i}: slider path needs points`);
+    if (path.curve === "arc" && path.points.length !== 2) throw new Error(`Note ${i}: arc sliders take exactly 2 path points`);
+    const points = path.points.map((p, j) => {
+      if (!p || !isFiniteNumber(p.xN) || !isFiniteNumber(p.yN)) throw new Error(`Note ${i}: path point ${j} needs xN and yN`);
+      return { xN: p.xN, yN: p.yN };
+    });
+
+    note.type = "slider";
+    note.endMs = n.endMs;
+    note.path = { curve: path.curve, points };
+    if (n.slides !== undefined) {
+      if (!Number.isInteger(n.slides) || n.slides < 1) throw new Error(`Note ${i}: slides must be a positive integer`);
+      note.slides = n.slides;
+    }
+    if (n.tickMs !== undefined) {
+      if (!isFiniteNumber(n.tickMs) || n.tickMs <= 0) throw new Error(`Note ${i}: tickMs must be a positive number`);
+      note.tickMs = n.tickMs;
+    }
+  }
+
+  function parseSpinner(n, i) {
+    if (!isFiniteNumber(n.tMs)) throw new Error(`Note ${i}: tMs must be a number`);
+    if (!isFiniteNumber(n.endMs) || n.endMs <= n.tMs) throw new Error(`Note ${i}: spinner endMs must be after tMs`);
+    const note = { type: "spinner", tMs: n.tMs, endMs: n.endMs, xN: 0.5, yN: 0.5 };
+    if (n.rotations !== undefined) {
+      if (!isFiniteNumber(n.rotations) || n.rotations <= 0) throw new Error(`Note ${i}: rotations must be a positive number`);
+      note.rotations = n.rotations;
+    }
+    return note;
+  }
+
+  // "normal" is the default and isn't stored
+  function parseHitsound(n, i, note) {
+    if (n.hitsound === undefined) return note;
+    if (!Engine.HITSOUNDS.includes(n.hitsound)) throw new Error(`Note ${i}: unknown hitsound "${n.hitsound}"`);
+    if (n.hitsound !== "normal") note.hitsound = n.hitsound;
+    return note;
+  }
+
+  /**
+   * Validate a parsed JSON object and return a beatmap in the shape buildBeatmap() produces.
+   * Throws Error with a readable message on anything malformed.
+   */
+  function parseBeatmapObject(obj) {
+    if (!obj || typeof obj !== "object") throw new Error("Beatmap must be a JSON object");
+    if (obj.format !== BEATMAP_FORMAT) throw new Error(`Not a beatmap file (format "${obj.format}")`);
+    if (!Number.isInteger(obj.version) || obj.version < 1) throw new Error("Beatmap version missing");
+    if (obj.version > BEATMAP_VERSION) throw new Error(`Beatmap version ${obj.version} is newer than supported (${BEATMAP_VERSION})`);
+    // v2 fields are read whatever the version: files saved before the bump have them under version 1
+
+    if (!Array.isArray(obj.notes) || obj.notes.length === 0) throw new Error("Beatmap has no notes");
+
+    const notes = obj.notes.map((n, i) => {
+      if (!n || typeof n !== "object") throw new Error(`Note ${i} is not an object`);
+      if (n.type === "spinner") return parseHitsound(n, i, parseSpinner(n, i));
+      for (const key of ["tMs", "xN", "yN"]) {
+        if (!isFiniteNumber(n[key])) throw new Error(`Note ${i}: ${key} must be a number`);
+      }
+      const note = { tMs: n.tMs, xN: n.xN, yN: n.yN };
+      if (n.rN !== undefined) {
+        if (!isFiniteNumber(n.rN) || n.rN <= 0) throw new Error(`Note ${i}: rN must be a positive number`);
+        note.rN = n.rN;
+      }
+      if (n.type === "slider") parseSliderFields(n, i, note);
+      else if (n.type !== undefined && n.type !== "circle") throw new Error(`Note ${i}: unknown note type "${n.type}"`);
+      return parseHitsound(n, i, note);
+    });
+    notes.sort((a, b) => a.tMs - b.tMs);
+
+    const timing = {};
+    if (obj.timing !== undefined) {
+      if (!obj.timing || typeof obj.timing !== "object") throw new Error("timing must be an object");
+      for (const [key, value] of Object.entries(obj.timing)) {
+        if (!(key in Engine.TIMING_OVERRIDE_KEYS)) throw new Error(`Unknown timing override "${key}"`);
+        if (!isFiniteNumber(value) || value <= 0) throw new Error(`timing.${key} must be a positive number`);
+        timing[key] = value;
+      }
+    }
+
+    const difficulty = {};
+    if (obj.difficulty !== undefined) {
+      if (!obj.difficulty || typeof obj.difficulty !== "object") throw new Error("difficulty must be an object");
+      for (const [key, value] of Object.entries(obj.difficulty)) {
+        if (!(key in Engine.DEFAULT_DIFFICULTY)) throw new Error(`Unknown difficulty value "${key}"`);
+        if (!isFiniteNumber(value) || value < 0 || value > 10) throw new Error(`difficulty.${key} must be between 0 and 10`);
+        difficulty[key] = value;
+      }
+    }
+
+    const lastT = notes.reduce((m, n) => Math.max(m, n.endMs === undefined ? n.tMs : n.endMs), 0);
+    let durationMs = lastT + 1200;
+    if (obj.durationMs !== undefined) {
+      if (!isFiniteNumber(obj.durationMs)) throw new Error("durationMs must be a number");
+      durationMs = obj.durationMs;
+    }
+
+    const beatmap = {
+      title: typeof obj.title === "string" && obj.title.trim() ? obj.title.trim() : "Untitled",
+      durationMs,
+      timing,
+      notes,
+    };
+    if (Object.keys(difficulty).length > 0) beatmap.difficulty = difficulty;
+
+    // Beat grid (informational: editor snapping, imported charts)
+    if (obj.bpm !== undefined) {
+      if (!isFiniteNumber(obj.bpm) || obj.bpm <= 0) throw new Error("bpm must be a positive number");
+      beatmap.bpm = obj.bpm;
+    }
+    if (obj.offsetMs !== undefined) {
+      if (!isFiniteNumber(obj.offsetMs)) throw new Error("offsetMs must be a number");
+      beatmap.offsetMs = obj.offsetMs;
+    }
+
+    if (obj.audio !== undefined) {
+      if (typeof obj.audio !== "string") throw new Error("audio must be a file name");
+      beatmap.audio = obj.audio;
+    }
+    if (obj.sections !== undefined) {
+      if (!Array.isArray(obj.sections)) throw new Error("sections must be an array");
+      beatmap.sections = obj.sections.map((sec, i) => {
+        if (!sec || typeof sec.name !== "string" || !sec.name.trim()) throw new Error(`Section ${i} needs a name`);
+        if (!isFiniteNumber(sec.tMs)) throw new Error(`Section ${i}: tMs must be a number`);
+        return { name: sec.name.trim(), tMs: sec.tMs };
+      }).sort((a, b) => a.tMs - b.tMs);
+    }
+    if (obj.leadInMs !== undefined) {
+      if (!isFiniteNumber(obj.leadInMs) || obj.leadInMs < 0) throw new Error("leadInMs must be a non-negative number");
+      beatmap.leadInMs = obj.leadInMs;
+    }
+
+    return beatmap;
+  }
+
+  function parseJsonText(text) {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Invalid JSON: ${err.message}`);
+    }
+  }
+
+  function parseBeatmapJson(text) {
+    return parseBeatmapObject(parseJsonText(text));
+  }
+
+  // Lowest file version that holds everything in the beatmap
+  function beatmapVersion(beatmap) {
+    const v2 = (beatmap.sections && beatmap.sections.length > 0) ||
+      (beatmap.difficulty && Object.keys(beatmap.difficulty).length > 0) ||
+      beatmap.notes.some(n => n.type === "slider" || n.type === "spinner" || n.hitsound);
+    return v2 ? 2 : 1;
+  }
+
+  function beatmapToJson(beatmap) {
+    return JSON.stringify({
+      format: BEATMAP_FORMAT,
+      version: beatmapVersion(beatmap),
+      title: beatmap.title,
+      durationMs: beatmap.durationMs,
+      bpm: beatmap.bpm,
+      offsetMs: beatmap.offsetMs,
+      audio: beatmap.audio,
+      leadInMs: beatmap.leadInMs,
+      sections: beatmap.sections,
+      difficulty: beatmap.difficulty,
+      timing: beatmap.timing || {},
+      notes: beatmap.notes.map((n) => {
+        if (n.type === "spinner") {
+          const out = { type: "spinner", tMs: n.tMs, endMs: n.endMs };
+          if (n.rotations !== undefined) out.rotations = n.rotations;
+          if (n.hitsound) out.hitsound = n.hitsound;
+          return out;
+        }
+        const out = { tMs: n.tMs, xN: n.xN, yN: n.yN };
+        if (n.rN !== undefined) out.rN = n.rN;
+        if (n.type === "slider") {
+          out.type = "slider";
+          out.endMs = n.endMs;
+          out.path = { curve: n.path.curve, points: n.path.points.map(p => ({ xN: p.xN, yN: p.yN })) };
+          if (n.slides !== undefined) out.slides = n.slides;
+          if (n.tickMs !== undefined) out.tickMs = n.tickMs;
+        }
+        if (n.hitsound) out.hitsound = n.hitsound;
+        return out;
+      }),
+    }, null, 2);
+  }
+
+  // FNV-1a over the playable content (notes + timing + difficulty); identifies a chart regardless of
+  // title/formatting. Hitsounds don't change play, so re-sounding a chart keeps its scores and replays
+  function beatmapHash(beatmap) {
+    const notes = beatmap.notes.map((n) => {
+      let key = `${n.tMs},${n.xN},${n.yN},${n.rN === undefined ? "" : n.rN}`;
+      if (n.type === "slider") {
+        const points = n.path.points.map(p => `${p.xN} ${p.yN}`).join(" ");
+        key += `,S${n.endMs},${n.path.curve},${points},${n.slides || 1},${n.tickMs || ""}`;
+      } else if (n.type === "spinner") {
+        key += `,R${n.endMs},${n.rotations || ""}`;
+      }
+      return key;
+    });
+    let text = JSON.stringify(beatmap.timing || {}) + "|" + notes.join(";");
+    if (beatmap.difficulty) {
+      const d = beatmap.difficulty;
+      const values = Object.keys(Engine.DEFAULT_DIFFICULTY).map(k => (d[k] === undefined ? "" : d[k]));
+      // hp came after ar/od/cs: only hashed when set, so charts from before keep their scores and replays
+      if (d.hp === undefined) values.pop();
+      text += "|" + values.join(",");
+    }
+    // bpm sets the tick spacing of sliders without tickMs: hashed only then, so other charts keep their hash
+    if (beatmap.bpm && beatmap.notes.some(n => n.type === "slider" && !n.tickMs)) text += `|bpm${beatmap.bpm}`;
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, "0");
+  }
+
+  // ---------------------- osu! Import (.osu) ----------------------
+  /**
+   * Converts an osu! standard .osu text file into a beatmap.
+   * - Circles map from the 512x384 osu! playfield onto normalized xN/yN
+   * - Sliders are flattened, cut to their pixel length and stored as linear paths;
+   *   duration and tick spacing come from the timing points and SliderMultiplier/SliderTickRate
+   * - Spinners keep their span
+   * - ApproachRate / OverallDifficulty / CircleSize / HPDrainRate -> difficulty (the engine derives timing, size and drain)
+   * - Hitsound additions -> the note's hitsound (one per note: finish, then clap, then whistle)
+   * - Object types the engine can't play are counted and reported as warnings
+   */
+  const OSU_PLAYFIELD_W = 512;
+  const OSU_PLAYFIELD_H = 384;
+
+  const OSU_TYPE_CIRCLE = 1;
+  const OSU_TYPE_SLIDER = 2;
+  const OSU_TYPE_SPINNER = 8;
+  const OSU_TYPE_HOLD = 128;
+
+  const OSU_SOUND_WHISTLE = 2;
+  const OSU_SOUND_FINISH = 4;
+  const OSU_SOUND_CLAP = 8;
+
+  // Sets note.hitsound from an osu! hitSound bit field; several additions keep the most distinct one
+  function withOsuHitsound(note, field) {
+    const bits = Number(field) || 0;
+    if (bits & OSU_SOUND_FINISH) note.hitsound = "finish";
+    else if (bits & OSU_SOUND_CLAP) note.hitsound = "clap";
+    else if (bits & OSU_SOUND_WHISTLE) note.hitsound = "whistle";
+    return note;
+  }
+
+  function isOsuText(text) {
+    return /^\uFEFF?\s*osu file format v\d+/.test(text);
+  }
+
+  function splitOsuSections(text) {
+    const sections = {};
+    let current = null;
+    for (const raw of text.split(/\r?\n/)) {
+      const line = raw.trim();
+      if (!line || line.startsWith("//")) continue;
+      const header = /^\[(\w+)\]$/.exec(line);
+      if (header) {
+        current = header[1];
+        sections[current] = [];
+      } else if (current) {
+        sections[current].push(line);
+      }
+    }
+    return sections;
+  }
+
+  // "Key: Value" lines -> object of strings
+  function parseOsuKeyValues(lines) {
+    const out = {};
+    for (const line of lines || []) {
+      const i = line.indexOf(":");
+      if (i < 0) continue;
+      out[line.slice(0, i).trim()] = line.slice(i + 1).trim();
+    }
+    return out;
+  }
+
+  function parseOsuTimingPoints(lines) {
+    const points = [];
+    for (const line of lines || []) {
+      const f = line.split(",");
+      const time = Number(f[0]);
+      const beatLength = Number(f[1]);
+      if (!Number.isFinite(time) || !Number.isFinite(beatLength)) continue;
+      // Field 6 missing (very old maps) means uninherited
+      const uninherited = f[6] === undefined ? true : f[6] === "1";
+      points.push({ time, beatLength, uninherited });
+    }
+    points.sort((a, b) => a.time - b.time);
+    return points;
+  }
+
+  // Red line (beat length) and green line (slider velocity) in effect at time t
+  function osuTimingAt(timingPoints, t) {
+    let beatLength = 500, sv = 1;
+    for (const p of timingPoints) {
+      if (p.time > t) break;
+      if (p.uninherited) {
+        if (p.beatLength > 0) beatLength = p.beatLength;
+        sv = 1;
+      } else if (p.beatLength < 0) {
+        sv = clamp(-100 / p.beatLength, 0.1, 10);
+      }
+    }
+    return { beatLength, sv };
+  }
+
+  // "B|x:y|x:y" after head (x, y) -> control points in osu! pixels + engine curve name
+  function osuSliderCurve(x, y, spec) {
+    const parts = (spec || "").split("|");
+    const points = [{ x, y }];
+    for (const p of parts.slice(1)) {
+      const [px, py] = p.split(":").map(Number);
+      if (Number.isFinite(px) && Number.isFinite(py)) points.push({ x: px, y: py });
+    }
+    const kind = parts[0];
+    let curve = "linear";
+    if (kind === "B") curve = "bezier";
+    else if (kind === "P") curve = points.length === 3 ? "arc" : "bezier";
+    return { curve, points };
+  }
+
+  // Flattened paths have many points; 1e-4 is well under a pixel and keeps exports small
+  function roundN(v) { return Math.round(v * 1e4) / 1e4; }
+
+  // Flattened osu! path cut to pixelLength, as normalized points after the head
+  function osuSliderPath(x, y, spec, pixelLength) {
+    const { curve, points } = osuSliderCurve(x, y, spec);
+    const poly = Engine.measurePolyline(Engine.flattenPath(curve, points));
+    const length = pixelLength > 0 ? Math.min(pixelLength, poly.length) : poly.length;
+
+    const out = [];
+    for (let i = 1; i < poly.pts.length && poly.cum[i] < length; i++) out.push(poly.pts[i]);
+    out.push(Engine.pointAtDistance(poly, length));
+    return {
+      length,
+      path: {
+        curve: "linear",
+        points: out.map(p => ({ xN: roundN(p.x / OSU_PLAYFIELD_W), yN: roundN(p.y / OSU_PLAYFIELD_H) })),
+      },
+    };
+  }
+
+  function osuNumber(value, fallback) {
+    const n = Number(value);
+    return value !== undefined && value !== "" && Number.isFinite(n) ? n : fallback;
+  }
+
+  /**
+   * Returns { beatmap, warnings }. Throws Error when the file isn't a playable osu!standard chart.
+   */
+  function parseOsu(text) {
+    if (!isOsuText(text)) throw new Error("Not an osu! beatmap (missing \"osu file format\" header)");
+
+    const sections = splitOsuSections(text);
+    const general = parseOsuKeyValues(sections.General);
+    const meta = parseOsuKeyValues(sections.Metadata);
+    const diff = parseOsuKeyValues(sections.Difficulty);
+
+    const mode = osuNumber(general.Mode, 0);
+    if (mode !== 0) throw new Error(`osu! mode ${mode} charts are not supported (standard only)`);
+
+    const od = clamp(osuNumber(diff.OverallDifficulty, 5), 0, 10);
+    const ar = clamp(osuNumber(diff.ApproachRate, od), 0, 10); // old maps: AR follows OD
+    const cs = clamp(osuNumber(diff.CircleSize, 5), 0, 10);
+    const hp = clamp(osuNumber(diff.HPDrainRate, 5), 0, 10);
+
+    const timingPoints = parseOsuTimingPoints(sections.TimingPoints);
+    const redLine = timingPoints.find(p => p.uninherited && p.beatLength > 0);
+    const sliderMultiplier = osuNumber(diff.SliderMultiplier, 1.4);
+    const tickRate = osuNumber(diff.SliderTickRate, 1);
+    const sliderTickRate = tickRate > 0 ? tickRate : 1; // 0 / negative: osu!'s default, not Infinity ms ticks
+
+    const notes = [];
+    const skipped = { slider: 0, spinner: 0, hold: 0, unknown: 0 };
+    let lastMs = 0;
+
+    for (const line of sections.HitObjects || []) {
+      const f = line.split(",");
+      const x = Number(f[0]), y = Number(f[1]), time = Number(f[2]), type = Number(f[3]);
+      if (![x, y, time, type].every(Number.isFinite)) {
+        skipped.unknown += 1;
+        continue;
+      }
+      lastMs = Math.max(lastMs, time);
+
+      if (type & OSU_TYPE_CIRCLE) {
+        notes.push(withOsuHitsound({ tMs: time, xN: x / OSU_PLAYFIELD_W, yN: y / OSU_PLAYFIELD_H }, f[4]));
+      } else if (type & OSU_TYPE_SLIDER) {
+        const slides = Math.max(1, Math.round(osuNumber(f[6], 1)));
+        const { length, path } = osuSliderPath(x, y, f[5], osuNumber(f[7], 0));
+        const { beatLength, sv } = osuTimingAt(timingPoints, time);
+        const spanMs = length / (sliderMultiplier * 100 * sv) * beatLength;
+        if (!(spanMs > 0)) {
+          skipped.slider += 1;
+          continue;
+        }
+        const endMs = Math.round(time + spanMs * slides);
+        notes.push(withOsuHitsound({
+          type: "slider",
+          tMs: time,
+          endMs,
+          xN: x / OSU_PLAYFIELD_W,
+          yN: y / OSU_PLAYFIELD_H,
+          path,
+          slides,
+          tickMs: beatLength / sliderTickRate,
+        }, f[4]));
+        lastMs = Math.max(lastMs, endMs);
+      } else if (type & OSU_TYPE_SPINNER) {
+        const endMs = osuNumber(f[5], time);
+        if (endMs <= time) {
+          skipped.spinner += 1;
+          continue;
+        }
+        notes.push(withOsuHitsound({ type: "spinner", tMs: time, endMs, xN: 0.5, yN: 0.5 }, f[4]));
+        lastMs = Math.max(lastMs, endMs);
+      } else if (type & OSU_TYPE_HOLD) {
+        skipped.hold += 1;
+      } else {
+        skipped.unknown += 1;
+      }
+    }
+
+    const warnings = Object.entries(skipped)
+      .filter(([, count]) => count > 0)
+      .map(([kind, count]) => `${count} ${kind}${count === 1 ? "" : "s"} not supported yet (skipped)`);
+
+    if (notes.length === 0) {
+      throw new Error(`No playable notes${warnings.length ? ` (${warnings.join(", ")})` : ""}`);
+    }
+    notes.sort((a, b) => a.tMs - b.tMs);
+
+    const title = [
+      meta.Artist ? `${meta.Artist} - ` : "",
+      meta.Title || "Untitled",
+      meta.Version ? ` [${meta.Version}]` : "",
+    ].join("");
+
+    const beatmap = {
+      title,
+      durationMs: lastMs + 1200,
+      difficulty: { ar, od, cs, hp },
+      timing: {},
+      notes,
+    };
+    if (redLine) {
+      beatmap.bpm = 60000 / redLine.beatLength;
+      beatmap.offsetMs = redLine.time;
+    }
+    if (general.AudioFilename) beatmap.audio = general.AudioFilename;
+    const audioLeadIn = osuNumber(general.AudioLeadIn, 0);
+    if (audioLeadIn > 0) beatmap.leadInMs = audioLeadIn;
+
+    return { beatmap, warnings };
+  }
+
+  return {
+    BEATMAP_FORMAT,
+    BEATMAP_VERSION,
+    isFiniteNumber,
+    parseJsonText,
+    parseBeatmapObject,
+    parseBeatmapJson,
+    beatmapVersion,
+    beatmapToJson,
+    beatmapHash,
+    isOsuText,
+    parseOsu,
+  };
+});
@@ -0,0 +1,1443 @@
+/**
+ * Bubble Rhythm — headless game core
+ * - No DOM, canvas or timers: the caller owns the clock and passes song time in
+ * - Beatmap + config + timed inputs in, judgments + score out
+ * - Loads as a plain <script> (window.BubbleEngine) or from Node (require("./engine.js"))
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.BubbleEngine = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // ---------------------- Config ----------------------
+  const DEFAULT_CONFIG = {
+    // Timing
+    PREEMPT_MS: 900,          // when a note becomes visible before hit time
+    HIT_WINDOW_MS: 160,       // allowed +/- window around hit time
+    AFTER_MS: 260,            // how long to keep rendering after window (fade out)
+
+    // Judgments (abs error thresholds)
+    PERFECT_MS: 45,
+    GOOD_MS: 90,
+    OK_MS: 140,
+
+    // Scoring
+    SCORE_PERFECT: 300,
+    SCORE_GOOD: 150,
+    SCORE_OK: 60,
+    SCORE_MISS: 0,
+    COMBO_BONUS: 0.06,        // combo scoring: score multiplier per combo step (no cap)
+    SCORE_MAX: 1000000,       // normalized / accuracy scoring: highest score, mods included
+    SCORE_COMBO_SHARE: 0.3,   // normalized scoring: share of the score that comes from combo
+
+    // Sliders
+    SCORE_SLIDER_PART: 10,    // head / tick / tail, before combo multiplier
+    SLIDER_FOLLOW_SCALE: 2.0, // follow ball radius = note radius * scale
+    SLIDER_TICK_MS: 300,      // tick spacing when neither the slider nor the map gives one
+
+    // Spinners
+    SPINNER_SPINS_PER_SEC: 1.5, // required rotations per second of span, unless the note says
+    SCORE_SPINNER_BONUS: 100,   // per full rotation beyond the required ones
+    SPINNER_RPM_WINDOW_MS: 500, // RPM readout averages over this much song time
+  };
+
+  // Beatmap JSON timing key -> config key
+  const TIMING_OVERRIDE_KEYS = {
+    preemptMs: "PREEMPT_MS",
+    hitWindowMs: "HIT_WINDOW_MS",
+    afterMs: "AFTER_MS",
+    perfectMs: "PERFECT_MS",
+    goodMs: "GOOD_MS",
+    okMs: "OK_MS",
+  };
+
+  const SLIDER_CURVES = ["linear", "bezier", "arc"];
+
+  // Hitsound variants a note can ask for (beatmap `hitsound`, default "normal"); the client plays them
+  const HITSOUNDS = ["normal", "whistle", "finish", "clap"];
+
+  // Input kinds that end a hold, keyed to the press kind they release ("key2": the secondary hit key)
+  const RELEASE_KINDS = { mouseup: "mouse", touchend: "touch", keyup: "key", key2up: "key2" };
+
+  /**
+   * Where normalized 0..1 note coordinates land, in the caller's units (canvas px in the browser).
+   * The default is an osu!-sized 512x384 field with a radius close to a desktop canvas.
+   */
+  const DEFAULT_LAYOUT = { left: 0, top: 0, width: 512, height: 384, radius: 22 };
+
+  // ---------------------- Utilities ----------------------
+  function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+  function lerp(a, b, t) { return a + (b - a) * t; }
+
+  function dist2(ax, ay, bx, by) {
+    const dx = ax - bx, dy = ay - by;
+    return dx * dx + dy * dy;
+  }
+
+  // ---------------------- Difficulty & Mods ----------------------
+  /**
+   * Per-map difficulty on osu!'s 0..10 scales: ar (approach rate), od (overall difficulty), cs (circle size),
+   * hp (HP drain rate). A map's `difficulty` derives its timing; explicit `timing` overrides still win.
+   * Mods then scale whatever timing/size the map ends up with.
+   * DEFAULT_DIFFICULTY is what DEFAULT_CONFIG corresponds to (AR 7 = 900ms preempt, OD 6 ~ 45/90/140).
+   */
+  const DEFAULT_DIFFICULTY = { ar: 7, od: 6, cs: 4, hp: 5 };
+
+  // osu!stable approach preempt for a given AR
+  function arToPreemptMs(ar) {
+    if (ar < 5) return 1200 + 600 * (5 - ar) / 5;
+    if (ar > 5) return 1200 - 750 * (ar - 5) / 5;
+    return 1200;
+  }
+
+  // osu!stable 300/100/50 windows for a given OD; the 50 window is also the hit window
+  function odToWindows(od) {
+    const okMs = 200 - 10 * od;
+    return { PERFECT_MS: 80 - 6 * od, GOOD_MS: 140 - 8 * od, OK_MS: okMs, HIT_WINDOW_MS: okMs };
+  }
+
+  // Bubble radius relative to CS 4 (osu! radius is 54.4 - 4.48 * CS playfield px)
+  function csToRadiusScale(cs) {
+    return (54.4 - 4.48 * cs) / (54.4 - 4.48 * DEFAULT_DIFFICULTY.cs);
+  }
+
+  /**
+   * HP changes for an HP drain rate: drain per ms while bubbles are on screen, gain per P/G/O,
+   * loss per miss, and the same for slider heads / ticks. Higher HP drains faster and gives less back.
+   */
+  function hpToRates(hp) {
+    const give = 1 - hp / 20;
+    return {
+      drainPerMs: (0.01 + 0.006 * hp) / 1000,
+      P: 0.05 * give,
+      G: 0.025 * give,
+      O: 0.008 * give,
+      M: -(0.05 + 0.01 * hp),
+      partHit: 0.01 * give,
+      partMiss: -(0.02 + 0.004 * hp),
+    };
+  }
+
+  /**
+   * Mods: id -> { name, multiplier (score), incompatible ids }.
+   * EZ/HR scale the difficulty (HR also flips notes vertically), DT/HT scale song speed
+   * (the caller runs the clock at rate()), HD only changes presentation, NF keeps HP from failing the run.
+   */
+  const MODS = {
+    EZ: { name: "Easy", multiplier: 0.5, incompatible: ["HR"] },
+    HR: { name: "Hard Rock", multiplier: 1.06, incompatible: ["EZ"] },
+    DT: { name: "Double Time", multiplier: 1.12, incompatible: ["HT"], rate: 1.5 },
+    HT: { name: "Half Time", multiplier: 0.3, incompatible: ["DT"], rate: 0.75 },
+    HD: { name: "Hidden", multiplier: 1.06, incompatible: [] },
+    NF: { name: "No Fail", multiplier: 0.5, incompatible: [] },
+  };
+  const MOD_ORDER = Object.keys(MODS);
+
+  // Known ids, canonical order, no duplicates; a later mod drops an earlier incompatible one
+  function normalizeMods(mods) {
+    const picked = [];
+    for (const id of mods || []) {
+      if (!MODS[id] || picked.includes(id)) continue;
+      for (const other of MODS[id].incompatible) {
+        const i = picked.indexOf(other);
+        if (i >= 0) picked.splice(i, 1);
+      }
+      picked.push(id);
+    }
+    return MOD_ORDER.filter(id => picked.includes(id));
+  }
+
+  function modScoreMultiplier(mods) {
+    return normalizeMods(mods).reduce((m, id) => m * MODS[id].multiplier, 1);
+  }
+
+  // Song speed under DT/HT (song ms per real ms)
+  function modRate(mods) {
+    const id = normalizeMods(mods).find(m => MODS[m].rate);
+    return id ? MODS[id].rate : 1;
+  }
+
+  function applyModsToDifficulty(diff, mods) {
+    const out = { ...diff };
+    if (mods.includes("EZ")) {
+      out.ar *= 0.5; out.od *= 0.5; out.cs *= 0.5; out.hp *= 0.5;
+    }
+    if (mods.includes("HR")) {
+      out.ar = Math.min(10, out.ar * 1.4); out.od = Math.min(10, out.od * 1.4); out.cs = Math.min(10, out.cs * 1.3);
+      out.hp = Math.min(10, out.hp * 1.4);
+    }
+    return out;
+  }
+
+  /**
+   * Map difficulty (defaults filled in) and the same after mods.
+   * Returns { base, effective, radiusScale } with base/effective as { ar, od, cs, hp }.
+   */
+  function resolveDifficulty(beatmap, mods = []) {
+    const base = { ...DEFAULT_DIFFICULTY, ...((beatmap && beatmap.difficulty) || {}) };
+    const effective = applyModsToDifficulty(base, normalizeMods(mods));
+    return { base, effective, radiusScale: csToRadiusScale(effective.cs) };
+  }
+
+  // Effective timing for a map: config defaults, map difficulty, the map's overrides, then mods
+  function resolveTiming(beatmap, config = DEFAULT_CONFIG, mods = []) {
+    const timing = {};
+    for (const key of Object.values(TIMING_OVERRIDE_KEYS)) timing[key] = config[key];
+
+    const difficulty = (beatmap && beatmap.difficulty) || {};
+    if (difficulty.ar !== undefined) timing.PREEMPT_MS = arToPreemptMs(difficulty.ar);
+    if (difficulty.od !== undefined) Object.assign(timing, odToWindows(difficulty.od));
+
+    const overrides = (beatmap && beatmap.timing) || {};
+    for (const [jsonKey, configKey] of Object.entries(TIMING_OVERRIDE_KEYS)) {
+      if (overrides[jsonKey] !== undefined) timing[configKey] = overrides[jsonKey];
+    }
+
+    // Mods scale by how much they move the derived values, so explicit overrides scale too
+    const { base, effective } = resolveDifficulty(beatmap, mods);
+    if (effective.ar !== base.ar) timing.PREEMPT_MS *= arToPreemptMs(effective.ar) / arToPreemptMs(base.ar);
+    if (effective.od !== base.od) {
+      const from = odToWindows(base.od), to = odToWindows(effective.od);
+      for (const key of Object.keys(from)) timing[key] *= to[key] / from[key];
+    }
+    return timing;
+  }
+
+  function judge(deltaMs, timing) {
+    const a = Math.abs(deltaMs);
+    if (a <= timing.PERFECT_MS) return "P";
+    if (a <= timing.GOOD_MS) return "G";
+    if (a <= timing.OK_MS) return "O";
+    // within HIT_WINDOW but beyond OK threshold is still a hit, but lowest tier
+    return "O";
+  }
+
+  const JUDGMENT_RANK = { P: 3, G: 2, O: 1, M: 0 };
+
+  function worseJudgment(a, b) {
+    return JUDGMENT_RANK[a] <= JUDGMENT_RANK[b] ? a : b;
+  }
+
+  // ---------------------- Scoring ----------------------
+  // Accuracy weight per judgment (every scoring model uses these unless it brings its own)
+  const ACCURACY_WEIGHTS = { P: 1.0, G: 0.75, O: 0.45, M: 0.0 };
+
+  function computeAccuracy(stats, weights = ACCURACY_WEIGHTS) {
+    const denom = Math.max(1, stats.totalJudged);
+    const num = stats.p * weights.P + stats.g * weights.G + stats.o * weights.O + stats.m * weights.M;
+    return num / denom;
+  }
+
+  function baseScore(config, judgment) {
+    if (judgment === "P") return config.SCORE_PERFECT;
+    if (judgment === "G") return config.SCORE_GOOD;
+    if (judgment === "O") return config.SCORE_OK;
+    return config.SCORE_MISS;
+  }
+
+  /**
+   * Scoring models: how judgments become score, and the grades a run can reach.
+   * create(ctx) gets { config, multiplier, stats, weights, notes, comboSteps } (notes: judged objects in
+   * the run, comboSteps: the combo a full-combo run ends on) and returns the scorer the game feeds:
+   *   step(hit, combo, part)     one chance to raise the combo (circle / spinner, or a slider head / tick /
+   *                              tail when part); combo is the value after it
+   *   judgment(judgment, combo)  a note's final P/G/O/M
+   *   spinBonus(spins)           full rotations past a spinner's requirement
+   *   score()                    the score so far, mod multiplier included (capped models cap the result)
+   *   ratio()                    0..1, how the run is going so far (no mods); grades are taken from it
+   * grades: best first; a run gets the first whose min it reaches (noMiss: and has no misses), else D.
+   */
+  const SCORING_MODELS = {
+    combo: {
+      name: "Combo",
+      description: "300 / 150 / 60 per note times a multiplier that grows with the combo, without limit",
+      weights: ACCURACY_WEIGHTS,
+      grades: [
+        { grade: "SS", min: 1 },
+        { grade: "S", min: 0.95, noMiss: true },
+        { grade: "A", min: 0.9 },
+        { grade: "B", min: 0.8 },
+        { grade: "C", min: 0.7 },
+      ],
+      create: createComboScorer,
+    },
+    normalized: {
+      name: "Normalized",
+      description: "Accuracy and combo measured against a perfect run, capped at 1,000,000 on any chart length",
+      weights: ACCURACY_WEIGHTS,
+      grades: [
+        { grade: "SS", min: 1 },
+        { grade: "S", min: 0.9, noMiss: true },
+        { grade: "A", min: 0.8 },
+        { grade: "B", min: 0.7 },
+        { grade: "C", min: 0.6 },
+      ],
+      create: createNormalizedScorer,
+    },
+    accuracy: {
+      name: "Accuracy",
+      description: "Accuracy over the whole chart, capped at 1,000,000; combo doesn't count",
+      weights: ACCURACY_WEIGHTS,
+      grades: [
+        { grade: "SS", min: 1 },
+        { grade: "S", min: 0.95 },
+        { grade: "A", min: 0.9 },
+        { grade: "B", min: 0.8 },
+        { grade: "C", min: 0.7 },
+      ],
+      create: createAccuracyScorer,
+    },
+  };
+  const DEFAULT_SCORING = "combo";
+
+  function scoringModel(id) {
+    const model = SCORING_MODELS[id === undefined ? DEFAULT_SCORING : id];
+    if (!model) throw new Error(`Unknown scoring model "${id}"`);
+    return model;
+  }
+
+  // Base score per note and slider part, times 1 + COMBO_BONUS per combo step
+  function createComboScorer({ config, multiplier, stats, weights }) {
+    let score = 0;
+    const add = (base, combo) => {
+      const mult = 1 + Math.max(0, combo - 1) * config.COMBO_BONUS;
+      score += base * mult * multiplier;
+    };
+    return {
+      step(hit, combo, part) { if (hit && part) add(config.SCORE_SLIDER_PART, combo); },
+      judgment(judgment, combo) { if (judgment !== "M") add(baseScore(config, judgment), combo); },
+      spinBonus(spins) { score += spins * config.SCORE_SPINNER_BONUS * multiplier; },
+      score: () => score,
+      ratio: () => computeAccuracy(stats, weights),
+    };
+  }
+
+  // Accuracy over the chart blended with combo (a hit at combo c is worth sqrt(c)), each as a share of
+  // what a perfect run gets, so SCORE_MAX is the ceiling whatever the length and mods (upward multipliers
+  // only lift runs below it). Spinner bonus doesn't count
+  function createNormalizedScorer({ config, multiplier, weights, notes, comboSteps }) {
+    const share = config.SCORE_COMBO_SHARE;
+    const blend = (acc, combo) => acc + share * (combo - acc);
+    let comboMax = 0;
+    for (let k = 1; k <= comboSteps; k++) comboMax += Math.sqrt(k);
+
+    let accEarned = 0, judged = 0;
+    let comboEarned = 0, steps = 0, comboPerfect = 0; // comboPerfect: a full combo's share by now
+    return {
+      step(hit, combo) {
+        steps += 1;
+        comboPerfect += Math.sqrt(steps);
+        if (hit) comboEarned += Math.sqrt(combo);
+      },
+      judgment(judgment) {
+        judged += 1;
+        accEarned += weights[judgment];
+      },
+      spinBonus() {},
+      score: () => {
+        const value = blend(accEarned / Math.max(1, notes), comboMax ? comboEarned / comboMax : 1);
+        return Math.min(config.SCORE_MAX, config.SCORE_MAX * value * multiplier);
+      },
+      ratio: () => blend(judged ? accEarned / judged : 1, steps ? comboEarned / comboPerfect : 1),
+    };
+  }
+
+  // Accuracy over the whole chart (notes not judged yet count as nothing) scaled to SCORE_MAX, mods included,
+  // and capped there
+  function createAccuracyScorer({ config, multiplier, stats, weights, notes }) {
+    let earned = 0;
+    return {
+      step() {},
+      judgment(judgment) { earned += weights[judgment]; },
+      spinBonus() {},
+      score: () => Math.min(config.SCORE_MAX, config.SCORE_MAX * (earned / Math.max(1, notes)) * multiplier),
+      ratio: () => computeAccuracy(stats, weights),
+    };
+  }
+
+  // ---------------------- Slider Paths ----------------------
+  /**
+   * Control points -> polyline, in whatever units the points are in.
+   * - linear: straight segments through every point
+   * - bezier: one curve per run of points; a repeated point starts a new curve (osu! style)
+   * - arc:    circular arc through exactly 3 points (falls back to linear if collinear)
+   */
+  const CURVE_SAMPLES = 32;
+
+  function bezierPoint(pts, t) {
+    const tmp = pts.map(p => ({ x: p.x, y: p.y }));
+    for (let k = tmp.length - 1; k > 0; k--) {
+      for (let i = 0; i < k; i++) {
+        tmp[i].x = lerp(tmp[i].x, tmp[i + 1].x, t);
+        tmp[i].y = lerp(tmp[i].y, tmp[i + 1].y, t);
+      }
+    }
+    return tmp[0];
+  }
+
+  function flattenBezier(pts) {
+    const out = [pts[0]];
+    let seg = [pts[0]];
+    const flush = () => {
+      if (seg.length < 2) return;
+      for (let i = 1; i <= CURVE_SAMPLES; i++) out.push(bezierPoint(seg, i / CURVE_SAMPLES));
+    };
+    for (let i = 1; i < pts.length; i++) {
+      const p = pts[i];
+      const prev = pts[i - 1];
+      if (p.x === prev.x && p.y === prev.y) {
+        flush();
+        seg = [p];
+      } else {
+        seg.push(p);
+      }
+    }
+    flush();
+    return out;
+  }
+
+  function flattenArc(pts) {
+    const [a, b, c] = pts;
+    const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+    if (Math.abs(d) < 1e-9) return pts;
+
+    const a2 = a.x * a.x + a.y * a.y, b2 = b.x * b.x + b.y * b.y, c2 = c.x * c.x + c.y * c.y;
+    const cx = (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d;
+    const cy = (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d;
+    const radius = Math.sqrt(dist2(a.x, a.y, cx, cy));
+
+    const start = Math.atan2(a.y - cy, a.x - cx);
+    let end = Math.atan2(c.y - cy, c.x - cx);
+    // Direction follows the winding a -> b -> c
+    const clockwise = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x) < 0;
+    if (clockwise) { while (end > start) end -= 2 * Math.PI; }
+    else { while (end < start) end += 2 * Math.PI; }
+
+    const out = [];
+    for (let i = 0; i <= CURVE_SAMPLES; i++) {
+      const ang = lerp(start, end, i / CURVE_SAMPLES);
+      out.push({ x: cx + radius * Math.cos(ang), y: cy + radius * Math.sin(ang) });
+    }
+    return out;
+  }
+
+  function flattenPath(curve, pts) {
+    if (pts.length < 2) return pts.slice();
+    if (curve === "bezier") return flattenBezier(pts);
+    if (curve === "arc" && pts.length === 3) return flattenArc(pts);
+    return pts.slice();
+  }
+
+  // Polyline with cumulative lengths, for constant-speed travel
+  function measurePolyline(pts) {
+    const cum = [0];
+    for (let i = 1; i < pts.length; i++) {
+      cum.push(cum[i - 1] + Math.sqrt(dist2(pts[i - 1].x, pts[i - 1].y, pts[i].x, pts[i].y)));
+    }
+    return { pts, cum, length: cum[cum.length - 1] };
+  }
+
+  function pointAtDistance(poly, d) {
+    const { pts, cum } = poly;
+    if (pts.length === 1 || d <= 0) return { x: pts[0].x, y: pts[0].y };
+    if (d >= poly.length) return { x: pts[pts.length - 1].x, y: pts[pts.length - 1].y };
+    let i = 1;
+    while (cum[i] < d) i++;
+    const t = (d - cum[i - 1]) / ((cum[i] - cum[i - 1]) || 1);
+    return { x: lerp(pts[i - 1].x, pts[i].x, t), y: lerp(pts[i - 1].y, pts[i].y, t) };
+  }
+
+  // Fraction 0..1 along the path at song time t, bouncing on repeats
+  function sliderProgressAt(note, t) {
+    const p = clamp((t - note.tMs) / (note.endMs - note.tMs), 0, 1) * note.slides;
+    const span = Math.min(Math.floor(p), note.slides - 1);
+    const frac = p - span;
+    return span % 2 === 1 ? 1 - frac : frac;
+  }
+
+  // Follow ball position of a runtime slider at song time t (layout units)
+  function sliderPositionAt(note, t) {
+    return pointAtDistance(note.path, sliderProgressAt(note, t) * note.path.length);
+  }
+
+  // Repeat points plus evenly spaced ticks inside each span; head and tail are judged separately
+  function sliderTickTimes(tMs, endMs, slides, tickMs) {
+    const ticks = [];
+    const spanMs = (endMs - tMs) / slides;
+    for (let s = 0; s < slides; s++) {
+      const spanStart = tMs + s * spanMs;
+      for (let t = spanStart + tickMs; t < spanStart + spanMs - 10; t += tickMs) ticks.push(t);
+      if (s < slides - 1) ticks.push(spanStart + spanMs);
+    }
+    return ticks;
+  }
+
+  // ---------------------- Spinners ----------------------
+  // Signed angle step from a to b, wrapped to (-PI, PI]
+  function angleStep(a, b) {
+    let d = b - a;
+    while (d <= -Math.PI) d += 2 * Math.PI;
+    while (d > Math.PI) d -= 2 * Math.PI;
+    return d;
+  }
+
+  function spinnerRotations(note) {
+    return Math.abs(note.spinAngle) / (2 * Math.PI);
+  }
+
+  // Rotations per minute over the last config.SPINNER_RPM_WINDOW_MS before song time t
+  function spinnerRpm(note, t, config = DEFAULT_CONFIG) {
+    const windowMs = config.SPINNER_RPM_WINDOW_MS;
+    const samples = note.spinSamples;
+    if (samples.length === 0 || samples[samples.length - 1].t < t - windowMs) return 0;
+    let i = samples.length - 1;
+    while (i > 0 && samples[i - 1].t >= t - windowMs) i--;
+    const from = samples[Math.max(0, i - 1)];
+    const turned = Math.abs(samples[samples.length - 1].angle - from.angle) / (2 * Math.PI);
+    return turned * 60000 / windowMs;
+  }
+
+  // ---------------------- Runtime Notes ----------------------
+  // layout.flipY (Hard Rock) mirrors notes top <-> bottom
+  function layoutX(layout, xN) { return layout.left + clamp(xN, 0, 1) * layout.width; }
+  function layoutY(layout, yN) { return layout.top + clamp(layout.flipY ? 1 - yN : yN, 0, 1) * layout.height; }
+
+  function placeNote(note, def, layout) {
+    if (note.kind === "spinner") {
+      // Always at the playfield centre; r is the dead zone where cursor angles are too noisy to count
+      note.x = layout.left + layout.width / 2;
+      note.y = layout.top + layout.height / 2;
+      note.r = layout.radius;
+      note.spinR = Math.min(layout.width, layout.height) * 0.42;
+      return;
+    }
+
+    note.x = layoutX(layout, def.xN);
+    note.y = layoutY(layout, def.yN);
+    note.r = layout.radius * (def.rN ? clamp(def.rN, 0.6, 1.6) : 1.0);
+
+    if (note.kind === "slider") {
+      const control = [{ x: note.x, y: note.y }].concat(def.path.points.map(p => ({
+        x: layoutX(layout, p.xN),
+        y: layoutY(layout, p.yN),
+      })));
+      note.path = measurePolyline(flattenPath(def.path.curve, control));
+    }
+  }
+
+  const NOTE_KINDS = ["slider", "spinner"];
+
+  function makeRuntimeNote(def, index, layout, config, defaultTickMs) {
+    const note = {
+      index,          // position in beatmap.notes
+      kind: NOTE_KINDS.includes(def.type) ? def.type : "circle",
+      tMs: def.tMs,
+      endMs: def.endMs === undefined ? def.tMs : def.endMs,
+      x: 0,
+      y: 0,
+      r: 0,
+
+      // state: "pending" -> "hit" or "miss"; "skipped" when play starts after the note.
+      // Sliders (head to tail) and spinners (whole span) pass through "active".
+      state: "pending",
+      judgedAtMs: null,
+      deltaMs: null,
+      judgment: null, // "P"|"G"|"O"|"M"
+      hitsound: HITSOUNDS.includes(def.hitsound) ? def.hitsound : "normal",
+    };
+
+    if (note.kind === "slider") {
+      note.slides = def.slides || 1;
+      note.ticks = sliderTickTimes(def.tMs, def.endMs, note.slides, def.tickMs || defaultTickMs);
+      note.tickIndex = 0;      // next tick to judge
+      note.partsHit = 0;       // head + ticks + tail hit so far
+      note.partsTotal = note.ticks.length + 2;
+      note.headJudgment = null;
+      note.path = null;
+    }
+
+    if (note.kind === "spinner") {
+      const spanSec = (def.endMs - def.tMs) / 1000;
+      note.required = def.rotations || Math.max(1, Math.floor(spanSec * config.SPINNER_SPINS_PER_SEC));
+      note.spinAngle = 0;    // net radians turned around the centre, signed
+      note.spinSamples = []; // recent { t, angle } for the RPM readout
+      note.bonusSpins = 0;
+      note.spinR = 0;
+    }
+
+    placeNote(note, def, layout);
+    return note;
+  }
+
+  // ---------------------- Scheduling ----------------------
+  /**
+   * Uniform grid of notes by position (cells at least a bubble across), so a hit only looks at the
+   * bubbles in the 3x3 cells around the cursor. The game keeps just the currently hittable notes in it.
+   */
+  function createNoteGrid(cellSize) {
+    const cells = new Map();
+    const keyOf = (cx, cy) => `${cx},${cy}`;
+
+    function add(note) {
+      const key = keyOf(Math.floor(note.x / cellSize), Math.floor(note.y / cellSize));
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(note);
+      note.gridKey = key;
+    }
+
+    function remove(note) {
+      const key = note.gridKey;
+      const cell = key === undefined ? null : cells.get(key);
+      note.gridKey = undefined;
+      if (!cell) return;
+      cell.splice(cell.indexOf(note), 1);
+      if (cell.length === 0) cells.delete(key);
+    }
+
+    function near(x, y) {
+      const cx = Math.floor(x / cellSize), cy = Math.floor(y / cellSize);
+      const out = [];
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          const cell = cells.get(keyOf(cx + dx, cy + dy));
+          if (cell) out.push(...cell);
+        }
+      }
+      return out;
+    }
+
+    const all = () => [].concat(...cells.values());
+
+    return { add, remove, near, all };
+  }
+
+  // Grid cell size for a set of runtime notes: the largest bubble's diameter
+  function gridCellSize(notes) {
+    return Math.max(1, 2 * notes.reduce((m, n) => Math.max(m, n.r), 0));
+  }
+
+  // Song-time spans HP drains in: from each bubble's approach to its end, merged; none for spinners
+  function hpDrainSpans(notes, timing) {
+    const spans = notes
+      .filter(n => n.state !== "skipped" && n.kind !== "spinner")
+      .map(n => ({ fromMs: n.tMs - timing.PREEMPT_MS, toMs: n.endMs }))
+      .sort((a, b) => a.fromMs - b.fromMs);
+    const merged = [];
+    for (const span of spans) {
+      const last = merged[merged.length - 1];
+      if (last && span.fromMs <= last.toMs) last.toMs = Math.max(last.toMs, span.toMs);
+      else merged.push(span);
+    }
+    return merged;
+  }
+
+  // ---------------------- Game ----------------------
+  /**
+   * One play of a beatmap.
+   * options.config: timing/scoring constants (defaults to DEFAULT_CONFIG)
+   * options.layout: see DEFAULT_LAYOUT; hit coordinates use the same units
+   * options.fromMs: start mid-chart, notes before it are "skipped" and never judged
+   * options.toMs: stop early (practice range), notes from it on are skipped too
+   * options.mods: mod ids (see MODS); the caller runs song time at modRate(mods)
+   * options.noFail: HP can't fail the run, as with NF (practice)
+   * options.onHit(note, judgment): a circle / spinner / slider head or end was hit (hitsounds)
+   * options.onComboBreak(combo, note): a miss ended a running combo of `combo`
+   */
+  function createGame(beatmap, options = {}) {
+    const config = options.config || DEFAULT_CONFIG;
+    const mods = normalizeMods(options.mods);
+    const timing = resolveTiming(beatmap, config, mods);
+    const difficulty = resolveDifficulty(beatmap, mods);
+    const scoreMultiplier = modScoreMultiplier(mods);
+    const scoring = options.scoring === undefined ? DEFAULT_SCORING : options.scoring;
+    const model = scoringModel(scoring);
+    const fromMs = options.fromMs || 0;
+    const toMs = options.toMs === undefined || options.toMs === null ? Infinity : options.toMs;
+    const defaultTickMs = beatmap.bpm ? 60000 / beatmap.bpm : config.SLIDER_TICK_MS;
+
+    // Caller layout + what the map difficulty and mods do to it
+    const modLayout = (layout) => ({
+      ...layout,
+      radius: layout.radius * difficulty.radiusScale,
+      flipY: mods.includes("HR"),
+    });
+
+    let layout = options.layout || DEFAULT_LAYOUT;
+    const notes = beatmap.notes.map((def, i) => makeRuntimeNote(def, i, modLayout(layout), config, defaultTickMs));
+    for (const n of notes) {
+      if (n.tMs < fromMs || n.tMs >= toMs) n.state = "skipped";
+    }
+    const lastEndMs = notes.reduce((m, n) => (n.state === "skipped" ? m : Math.max(m, n.endMs)), 0);
+
+    // ---- Scheduling: played notes in time order with pointers into it, so per-frame work only
+    // touches the notes around the current time, however long the chart is
+    const order = notes.filter(n => n.state !== "skipped").sort((a, b) => a.tMs - b.tMs || a.index - b.index);
+    const maxSpanMs = order.reduce((m, n) => Math.max(m, n.endMs - n.tMs), 0);
+    const started = []; // notes whose time has come that aren't judged yet (see processAutoMisses)
+    let startIndex = 0; // order[startIndex..] haven't started
+    let hitIndex = 0;   // order[hitIndex..] aren't in hitGrid yet (see attemptHit)
+    let hitGrid = createNoteGrid(gridCellSize(order));
+    let left = order.length; // notes not judged yet
+
+    const stats = {
+      score: 0,
+      combo: 0,
+      maxCombo: 0,
+      p: 0, g: 0, o: 0, m: 0,
+      totalJudged: 0,
+      totalHit: 0,
+      hp: 1,            // 0..1
+      failed: false,    // HP ran out (never with NF); the run stops there
+      failedAtMs: null,
+    };
+
+    const scorer = model.create({
+      config,
+      multiplier: scoreMultiplier,
+      stats,
+      weights: model.weights,
+      notes: order.length,
+      comboSteps: order.reduce((sum, n) => sum + (n.kind === "slider" ? n.partsTotal : 1), 0),
+    });
+
+    const onHit = options.onHit || (() => {});
+    const onComboBreak = options.onComboBreak || (() => {});
+
+    // Pointer state for slider tracking
+    const cursor = { x: 0, y: 0 };
+    const held = new Set(); // press kinds currently down ("mouse", "key", "touch")
+
+    // ---- HP: drains while bubbles are on screen (not in breaks or spinners), judgments add or take.
+    // Changes apply in song-time order (see processAutoMisses), so a fail never depends on polling.
+    const hpRates = hpToRates(difficulty.effective.hp);
+    const drainSpans = hpDrainSpans(notes, timing);
+    const noFail = mods.includes("NF") || !!options.noFail;
+    let hpAtMs = fromMs;
+
+    function failRun(atMs) {
+      stats.hp = 0;
+      if (noFail) return;
+      stats.failed = true;
+      stats.failedAtMs = atMs;
+    }
+
+    function drainHp(toMs) {
+      if (stats.failed || toMs <= hpAtMs) return;
+      for (const span of drainSpans) {
+        const a = Math.max(span.fromMs, hpAtMs);
+        const b = Math.min(span.toMs, toMs);
+        if (b <= a || stats.hp === 0) continue;
+        const drained = (b - a) * hpRates.drainPerMs;
+        if (drained >= stats.hp) {
+          const atMs = a + stats.hp / hpRates.drainPerMs;
+          failRun(atMs);
+          if (stats.failed) {
+            hpAtMs = atMs;
+            return;
+          }
+        } else {
+          stats.hp -= drained;
+        }
+      }
+      hpAtMs = toMs;
+    }
+
+    function changeHp(delta) {
+      if (stats.failed) return;
+      stats.hp = clamp(stats.hp + delta, 0, 1);
+      if (stats.hp === 0 && delta < 0) failRun(hpAtMs);
+    }
+
+    // The scoring model keeps the score; stats.score mirrors it after every change
+    function updateScore() {
+      stats.score = scorer.score();
+    }
+
+    function comboUp() {
+      stats.combo += 1;
+      stats.maxCombo = Math.max(stats.maxCombo, stats.combo);
+    }
+
+    function countJudgment(judgment) {
+      stats.totalJudged += 1;
+      if (judgment === "P") stats.p += 1;
+      else if (judgment === "G") stats.g += 1;
+      else if (judgment === "O") stats.o += 1;
+      else stats.m += 1;
+      if (judgment !== "M") stats.totalHit += 1;
+    }
+
+    function applyJudgment(note, judgedAtMs, deltaMs, judgment) {
+      hitGrid.remove(note);
+      left -= 1;
+      note.state = "hit";
+      note.judgedAtMs = judgedAtMs;
+      note.deltaMs = deltaMs;
+      note.judgment = judgment;
+
+      countJudgment(judgment);
+      comboUp();
+      scorer.step(true, stats.combo, false);
+      scorer.judgment(judgment, stats.combo);
+      updateScore();
+      changeHp(hpRates[judgment]);
+      onHit(note, judgment);
+    }
+
+    function breakCombo(note) {
+      if (stats.combo > 0) onComboBreak(stats.combo, note);
+      stats.combo = 0;
+    }
+
+    function missNote(note, currentMs) {
+      hitGrid.remove(note);
+      left -= 1;
+      note.state = "miss";
+      note.judgedAtMs = currentMs;
+      note.deltaMs = currentMs - note.tMs;
+      note.judgment = "M";
+
+      countJudgment("M");
+      changeHp(hpRates.M);
+      breakCombo(note);
+      scorer.step(false, stats.combo, false);
+      scorer.judgment("M", stats.combo);
+      updateScore();
+    }
+
+    // ---- Sliders: head, ticks and tail are "parts"; the slider as a whole gets one P/G/O/M
+    function isTracking(note, t) {
+      if (held.size === 0) return false;
+      const p = sliderPositionAt(note, t);
+      const follow = note.r * config.SLIDER_FOLLOW_SCALE;
+      return dist2(cursor.x, cursor.y, p.x, p.y) <= follow * follow;
+    }
+
+    function sliderPart(note, hit, breaksCombo) {
+      if (hit) {
+        note.partsHit += 1;
+        comboUp();
+        changeHp(hpRates.partHit);
+      } else if (breaksCombo) {
+        breakCombo(note);
+        changeHp(hpRates.partMiss);
+      }
+      scorer.step(hit, stats.combo, true);
+      updateScore();
+    }
+
+    function hitSliderHead(note, t, deltaMs) {
+      hitGrid.remove(note);
+      note.state = "active";
+      note.deltaMs = deltaMs;
+      note.headJudgment = judge(deltaMs, timing);
+      sliderPart(note, true, true);
+      onHit(note, note.headJudgment);
+    }
+
+    function missSliderHead(note) {
+      hitGrid.remove(note);
+      note.state = "active";
+      note.headJudgment = "M";
+      sliderPart(note, false, true);
+    }
+
+    // All parts -> P, at least half -> G, any -> O, none -> M; a hit head also caps it at its timing
+    function finishSlider(note) {
+      const ratio = note.partsHit / note.partsTotal;
+      let judgment = ratio === 1 ? "P" : ratio >= 0.5 ? "G" : ratio > 0 ? "O" : "M";
+      if (note.headJudgment !== "M") judgment = worseJudgment(judgment, note.headJudgment);
+
+      left -= 1;
+      note.state = judgment === "M" ? "miss" : "hit";
+      note.judgedAtMs = note.endMs;
+      note.judgment = judgment;
+
+      countJudgment(judgment);
+      changeHp(hpRates[judgment]);
+      if (judgment === "M") breakCombo(note);
+      scorer.judgment(judgment, stats.combo);
+      updateScore();
+      if (judgment !== "M") onHit(note, judgment);
+    }
+
+    // Returns true if the slider finished as a miss
+    function advanceSlider(note, currentMs) {
+      if (note.state === "pending" && (currentMs > note.tMs + timing.HIT_WINDOW_MS || currentMs >= note.endMs)) {
+        missSliderHead(note);
+      }
+      while (note.tickIndex < note.ticks.length && note.ticks[note.tickIndex] <= currentMs) {
+        const tickMs = note.ticks[note.tickIndex++];
+        sliderPart(note, isTracking(note, tickMs), true);
+      }
+      if (note.state === "active" && currentMs >= note.endMs) {
+        sliderPart(note, isTracking(note, note.endMs), false); // tail: no combo break
+        finishSlider(note);
+        return note.state === "miss";
+      }
+      return false;
+    }
+
+    // ---- Spinners: cursor rotation around the centre while the span runs; judged at the end
+    function spinCursor(note, fromX, fromY, toX, toY, t) {
+      const dead = note.r * note.r;
+      if (dist2(fromX, fromY, note.x, note.y) < dead || dist2(toX, toY, note.x, note.y) < dead) return;
+
+      const before = Math.floor(spinnerRotations(note));
+      note.spinAngle += angleStep(
+        Math.atan2(fromY - note.y, fromX - note.x),
+        Math.atan2(toY - note.y, toX - note.x)
+      );
+      note.spinSamples.push({ t, angle: note.spinAngle });
+      while (note.spinSamples.length > 1 && note.spinSamples[0].t < t - 2 * config.SPINNER_RPM_WINDOW_MS) {
+        note.spinSamples.shift();
+      }
+
+      // Bonus for every full rotation past the requirement (spinning back doesn't take it away)
+      const after = Math.floor(spinnerRotations(note));
+      if (after > before && after > note.required + note.bonusSpins) {
+        const extra = after - note.required - note.bonusSpins;
+        note.bonusSpins += extra;
+        scorer.spinBonus(extra);
+        updateScore();
+      }
+    }
+
+    // Required rotations -> P, 3/4 -> G, half -> O, less -> M
+    function finishSpinner(note) {
+      const ratio = spinnerRotations(note) / note.required;
+      const judgment = ratio >= 1 ? "P" : ratio >= 0.75 ? "G" : ratio >= 0.5 ? "O" : "M";
+      if (judgment === "M") {
+        missNote(note, note.endMs);
+        note.deltaMs = null;
+        return true;
+      }
+      applyJudgment(note, note.endMs, null, judgment);
+      return false;
+    }
+
+    // Returns true if the spinner finished as a miss
+    function advanceSpinner(note, currentMs) {
+      if (note.state === "pending" && currentMs >= note.tMs) note.state = "active";
+      if (note.state === "active" && currentMs >= note.endMs) return finishSpinner(note);
+      return false;
+    }
+
+    /**
+     * Next thing due on a note without input: { atMs, after }; after = once song time is past atMs
+     * (a bubble that timed out), otherwise at atMs itself (slider ticks / ends, spinner start / end).
+     */
+    function nextDue(n) {
+      const lateMs = n.tMs + timing.HIT_WINDOW_MS;
+      if (n.kind === "spinner") return { atMs: n.state === "pending" ? n.tMs : n.endMs, after: false };
+      if (n.kind !== "slider") return { atMs: lateMs, after: true };
+
+      let due = { atMs: n.endMs, after: false };
+      if (n.state === "pending" && lateMs < n.endMs) due = { atMs: lateMs, after: true };
+      if (n.tickIndex < n.ticks.length && n.ticks[n.tickIndex] <= due.atMs) due = { atMs: n.ticks[n.tickIndex], after: false };
+      return due;
+    }
+
+    // Handles what nextDue() reported; returns true if the note finished as a miss
+    function advanceNote(n, due) {
+      if (n.kind === "spinner") return advanceSpinner(n, due.atMs);
+      if (n.kind === "slider") {
+        if (due.after) {
+          missSliderHead(n);
+          return false;
+        }
+        return advanceSlider(n, due.atMs);
+      }
+      missNote(n, due.atMs);
+      return true;
+    }
+
+    /**
+     * Judges everything due by currentMs (timed-out notes, slider ticks/tails, spinner ends) one
+     * due time after another, draining HP in between; returns new misses. Stops at a fail.
+     */
+    function processAutoMisses(currentMs) {
+      const missed = [];
+      while (startIndex < order.length && order[startIndex].tMs <= currentMs) started.push(order[startIndex++]);
+
+      while (!stats.failed) {
+        let next = null;
+        for (const n of started) {
+          if (n.state !== "pending" && n.state !== "active") continue;
+          const due = nextDue(n);
+          if (due.after ? due.atMs >= currentMs : due.atMs > currentMs) continue;
+          if (!next || due.atMs < next.due.atMs || (due.atMs === next.due.atMs && next.due.after && !due.after)) {
+            next = { note: n, due };
+          }
+        }
+        if (!next) break;
+
+        drainHp(next.due.atMs);
+        if (stats.failed) break;
+        if (advanceNote(next.note, next.due)) missed.push(next.note);
+      }
+
+      // Judged notes leave the started list (in place, keeping time order)
+      let kept = 0;
+      for (const n of started) {
+        if (n.state === "pending" || n.state === "active") started[kept++] = n;
+      }
+      started.length = kept;
+
+      drainHp(currentMs);
+      return missed;
+    }
+
+    /**
+     * Hit at (cx, cy) at song time t.
+     * Returns { note, judgment, deltaMs } (slider heads report the head's timing), or null.
+     */
+    function attemptHit(cx, cy, t) {
+      // Settle notes that timed out before this input, so judgment order never depends
+      // on how often the caller polls (keeps replays identical)
+      processAutoMisses(t);
+      if (stats.failed) return null;
+
+      // Notes become hittable HIT_WINDOW before their time; they leave the grid once judged
+      while (hitIndex < order.length && order[hitIndex].tMs - timing.HIT_WINDOW_MS <= t) {
+        const n = order[hitIndex++];
+        if (n.state === "pending" && n.kind !== "spinner") hitGrid.add(n);
+      }
+
+      // Candidate notes: pending, cursor inside, abs delta <= HIT_WINDOW
+      const candidates = [];
+      for (const n of hitGrid.near(cx, cy)) {
+        if (n.state !== "pending") continue;
+
+        const delta = t - n.tMs;
+        if (Math.abs(delta) > timing.HIT_WINDOW_MS) continue;
+
+        const d2 = dist2(cx, cy, n.x, n.y);
+        if (d2 > n.r * n.r) continue;
+
+        candidates.push({ n, absDelta: Math.abs(delta), d2 });
+      }
+
+      if (candidates.length === 0) return null;
+
+      // Overlap selection:
+      // 1) choose smallest abs timing error (closest scheduled hit time)
+      // 2) tie-breaker: nearest center, then chart order
+      candidates.sort((a, b) => {
+        if (a.absDelta !== b.absDelta) return a.absDelta - b.absDelta;
+        return a.d2 - b.d2 || a.n.index - b.n.index;
+      });
+
+      const pick = candidates[0].n;
+      const delta = t - pick.tMs;
+      if (pick.kind === "slider") {
+        hitSliderHead(pick, t, delta);
+        return { note: pick, judgment: pick.headJudgment, deltaMs: delta };
+      }
+      applyJudgment(pick, t, delta, judge(delta, timing));
+      return { note: pick, judgment: pick.judgment, deltaMs: delta };
+    }
+
+    // ---- Pointer input (sliders need to know where the cursor is and what is held, spinners how it turns)
+    function moveCursor(x, y, t) {
+      processAutoMisses(t);
+      if (stats.failed) return;
+      for (const n of started) {
+        if (n.kind === "spinner" && n.state === "active") spinCursor(n, cursor.x, cursor.y, x, y, t);
+      }
+      cursor.x = x;
+      cursor.y = y;
+    }
+
+    function press(kind, x, y, t) {
+      moveCursor(x, y, t);
+      held.add(kind);
+      return attemptHit(x, y, t);
+    }
+
+    function release(kind, x, y, t) {
+      moveCursor(x, y, t);
+      held.delete(kind);
+    }
+
+    /**
+     * Any timed input: "move", a release ("mouseup" | "touchend" | "keyup" | "key2up")
+     * or a press (anything else, e.g. "mouse" | "touch" | "key" | "key2"). Presses return attemptHit()'s result.
+     */
+    function input(kind, x, y, t) {
+      if (kind === "move") moveCursor(x, y, t);
+      else if (kind in RELEASE_KINDS) release(RELEASE_KINDS[kind], x, y, t);
+      else return press(kind, x, y, t);
+      return null;
+    }
+
+    function notesLeft() {
+      return left;
+    }
+
+    // Played notes whose [tMs, endMs] overlaps [fromMs, toMs], in time order (what's on screen)
+    function notesBetween(fromMs, toMs) {
+      let lo = 0, hi = order.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (order[mid].tMs < fromMs - maxSpanMs) lo = mid + 1;
+        else hi = mid;
+      }
+      const out = [];
+      for (let i = lo; i < order.length && order[i].tMs <= toMs; i++) {
+        if (order[i].endMs >= fromMs) out.push(order[i]);
+      }
+      return out;
+    }
+
+    // End condition: all notes judged and time past last note + after (a failed run never gets there)
+    function isFinished(currentMs) {
+      if (notes.length === 0) return true;
+      const endAt = lastEndMs + timing.HIT_WINDOW_MS + timing.AFTER_MS + 200;
+      return currentMs > endAt && notesLeft() === 0;
+    }
+
+    // Re-position notes for a new layout without touching their state
+    function setLayout(next) {
+      // The last cursor position follows the playfield so held sliders keep tracking
+      cursor.x = next.left + (cursor.x - layout.left) * (next.width / layout.width);
+      cursor.y = next.top + (cursor.y - layout.top) * (next.height / layout.height);
+      layout = next;
+      const placed = modLayout(layout);
+      for (const n of notes) placeNote(n, beatmap.notes[n.index], placed);
+
+      const hittable = hitGrid.all();
+      hitGrid = createNoteGrid(gridCellSize(order));
+      for (const n of hittable) hitGrid.add(n);
+    }
+
+    return {
+      beatmap,
+      mods,
+      timing,
+      difficulty,
+      scoreMultiplier,
+      scoring,
+      notes,
+      stats,
+      lastEndMs,
+      attemptHit,
+      processAutoMisses,
+      moveCursor,
+      press,
+      release,
+      input,
+      isTracking,
+      notesLeft,
+      notesBetween,
+      isFinished,
+      isFailed: () => stats.failed,
+      setLayout,
+      getLayout: () => layout,
+      accuracy: () => computeAccuracy(stats, model.weights),
+      ratio: () => scorer.ratio(),
+      grade: () => computeGrade(stats, scoring, scorer.ratio()),
+    };
+  }
+
+  /**
+   * Plays a beatmap headlessly.
+   * inputs: time-ordered [{ tMs, xN, yN, kind? }] in normalized playfield coordinates;
+   * kind defaults to a "key" press, see game.input() for the rest.
+   * Returns { stats, accuracy, judgments, finished }.
+   */
+  function simulate(beatmap, inputs, options = {}) {
+    const layout = options.layout || DEFAULT_LAYOUT;
+    const game = createGame(beatmap, { ...options, layout });
+
+    let lastT = options.fromMs || 0;
+    for (const input of inputs) {
+      lastT = input.tMs;
+      game.input(
+        input.kind || "key",
+        layout.left + input.xN * layout.width,
+        layout.top + input.yN * layout.height,
+        input.tMs
+      );
+    }
+
+    return finishGame(game, lastT);
+  }
+
+  // Run the clock past the end so every remaining note is judged; simulate()-style result
+  function finishGame(game, lastT) {
+    const endMs = Math.max(lastT, game.lastEndMs + game.timing.HIT_WINDOW_MS + game.timing.AFTER_MS + 201);
+    game.processAutoMisses(endMs);
+
+    return {
+      stats: { ...game.stats },
+      accuracy: game.accuracy(),
+      finished: game.isFinished(endMs),
+      judgments: game.notes.map(n => ({
+        index: n.index,
+        tMs: n.tMs,
+        state: n.state,
+        judgment: n.judgment,
+        deltaMs: n.deltaMs,
+        judgedAtMs: n.judgedAtMs,
+      })),
+    };
+  }
+
+  // ---------------------- Results ----------------------
+  // Grade from the scoring model's thresholds; ratio is its scorer's ratio() (accuracy by default)
+  function computeGrade(stats, scoring = DEFAULT_SCORING, ratio = computeAccuracy(stats, scoringModel(scoring).weights)) {
+    if (stats.totalJudged === 0) return "D";
+    const pick = scoringModel(scoring).grades.find(g => ratio >= g.min && (!g.noMiss || stats.m === 0));
+    return pick ? pick.grade : "D";
+  }
+
+  // Signed timing errors (ms, negative = early) of every hit; slider heads count, spinners don't
+  function hitErrors(notes) {
+    const errors = [];
+    for (const n of notes) {
+      if (n.kind === "spinner" || n.deltaMs === null) continue;
+      const judged = n.kind === "slider" ? n.headJudgment : n.judgment;
+      if (judged && judged !== "M") errors.push(n.deltaMs);
+    }
+    return errors;
+  }
+
+  function meanOf(values) {
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+  }
+
+  // osu!-style unstable rate: 10 x standard deviation of the hit errors
+  function unstableRate(errors) {
+    if (errors.length === 0) return 0;
+    const mean = meanOf(errors);
+    return 10 * Math.sqrt(meanOf(errors.map(e => (e - mean) * (e - mean))));
+  }
+
+  // Counts per binMs-wide bin over -rangeMs..rangeMs (outliers land in the edge bins)
+  function hitErrorHistogram(errors, rangeMs, binMs = 10) {
+    const bins = Math.max(1, Math.ceil((2 * rangeMs) / binMs));
+    const counts = new Array(bins).fill(0);
+    for (const e of errors) counts[clamp(Math.floor((e + rangeMs) / binMs), 0, bins - 1)] += 1;
+    return { rangeMs, binMs, counts };
+  }
+
+  /**
+   * The chart split into named spans: beatmap.sections ([{ name, tMs }]) when present,
+   * otherwise four equal quarters. Returns [{ name, fromMs, toMs }].
+   */
+  function sectionSpans(beatmap) {
+    const endMs = beatmap.notes.reduce((m, n) => Math.max(m, n.endMs === undefined ? n.tMs : n.endMs), 0) + 1;
+    const sections = (beatmap.sections || []).slice().sort((a, b) => a.tMs - b.tMs);
+    if (sections.length === 0) {
+      const q = endMs / 4;
+      return [1, 2, 3, 4].map(i => ({ name: `Q${i}`, fromMs: (i - 1) * q, toMs: i * q }));
+    }
+    return sections.map((sec, i) => ({
+      name: sec.name,
+      fromMs: i === 0 ? Math.min(0, sec.tMs) : sec.tMs, // notes before the first section belong to it
+      toMs: i + 1 < sections.length ? sections[i + 1].tMs : Math.max(endMs, sec.tMs + 1),
+    }));
+  }
+
+  /**
+   * Everything the results screen shows, from a finished (or running) game.
+   * timeline: running accuracy after each judged note, in chart order.
+   */
+  function summarizeRun(game) {
+    const stats = game.stats;
+    const { weights } = scoringModel(game.scoring);
+    const errors = hitErrors(game.notes);
+    const judged = game.notes
+      .filter(n => n.judgment)
+      .sort((a, b) => a.tMs - b.tMs || a.index - b.index);
+
+    const running = { p: 0, g: 0, o: 0, m: 0, totalJudged: 0 };
+    const timeline = judged.map((n) => {
+      running[n.judgment.toLowerCase()] += 1;
+      running.totalJudged += 1;
+      return { tMs: n.tMs, accuracy: computeAccuracy(running, weights) };
+    });
+
+    const sections = sectionSpans(game.beatmap).map((span) => {
+      const counts = { p: 0, g: 0, o: 0, m: 0, totalJudged: 0 };
+      for (const n of judged) {
+        if (n.tMs < span.fromMs || n.tMs >= span.toMs) continue;
+        counts[n.judgment.toLowerCase()] += 1;
+        counts.totalJudged += 1;
+      }
+      return { ...span, judged: counts.totalJudged, accuracy: counts.totalJudged ? computeAccuracy(counts, weights) : null };
+    });
+
+    return {
+      grade: game.grade(),
+      scoring: game.scoring,
+      failed: stats.failed,
+      failedAtMs: stats.failedAtMs,
+      score: stats.score,
+      maxCombo: stats.maxCombo,
+      accuracy: game.accuracy(),
+      counts: { p: stats.p, g: stats.g, o: stats.o, m: stats.m },
+      errors,
+      meanErrorMs: meanOf(errors),
+      unstableRate: unstableRate(errors),
+      histogram: hitErrorHistogram(errors, game.timing.HIT_WINDOW_MS),
+      sections,
+      timeline,
+    };
+  }
+
+  // ---------------------- Autoplay ----------------------
+  /**
+   * Perfect play for a game, fed through the same input() path as a player.
+   * - circles: cursor on the centre, click at exactly tMs (chords: one click per note, same time)
+   * - sliders: press the head, follow the ball (a sample on every tick and the tail), release at the end
+   * - spinners: circle the centre at AUTO_SPIN_RPS
+   * Events live in the game's layout units; relayout() re-derives them after game.setLayout().
+   */
+  const AUTO_STEP_MS = 16;
+  const AUTO_SPIN_RPS = 5;
+  const AUTO_LEAD_MS = 600; // cursor glides in from the centre before the first object
+
+  function autoplayEvents(game) {
+    const events = [];
+    const objects = game.notes
+      .filter(n => n.state !== "skipped")
+      .sort((a, b) => a.tMs - b.tMs || a.index - b.index);
+
+    for (const n of objects) {
+      if (n.kind === "circle") {
+        events.push({ tMs: n.tMs, kind: "move", x: n.x, y: n.y });
+        events.push({ tMs: n.tMs, kind: "mouse", x: n.x, y: n.y });
+        events.push({ tMs: n.tMs, kind: "mouseup", x: n.x, y: n.y });
+      } else if (n.kind === "slider") {
+        events.push({ tMs: n.tMs, kind: "move", x: n.x, y: n.y });
+        events.push({ tMs: n.tMs, kind: "key", x: n.x, y: n.y });
+        // A move just before each tick/tail puts the cursor on the ball when it's judged
+        const times = [];
+        for (let t = n.tMs + AUTO_STEP_MS; t < n.endMs; t += AUTO_STEP_MS) times.push(t);
+        for (const t of n.ticks.concat(n.endMs)) times.push(t - 0.01);
+        times.sort((a, b) => a - b);
+        for (const t of times) {
+          const p = sliderPositionAt(n, Math.min(n.endMs, t + 0.01));
+          events.push({ tMs: t, kind: "move", x: p.x, y: p.y });
+        }
+        const end = sliderPositionAt(n, n.endMs);
+        events.push({ tMs: n.endMs, kind: "keyup", x: end.x, y: end.y });
+      } else if (n.kind === "spinner") {
+        const radius = Math.max(n.r * 2, n.spinR * 0.5);
+        for (let t = n.tMs; t <= n.endMs; t += AUTO_STEP_MS) {
+          const a = (t - n.tMs) / 1000 * AUTO_SPIN_RPS * 2 * Math.PI;
+          events.push({ tMs: t, kind: "move", x: n.x + radius * Math.cos(a), y: n.y + radius * Math.sin(a) });
+        }
+      }
+    }
+    return events.sort((a, b) => a.tMs - b.tMs); // stable: same-time events keep their order
+  }
+
+  function smoothstep(t) { return t * t * (3 - 2 * t); }
+
+  function createAutoplay(game) {
+    let events = autoplayEvents(game);
+    let index = 0; // next event to feed
+    let home = { x: 0, y: 0 };
+
+    function relayout() {
+      events = autoplayEvents(game);
+      const layout = game.getLayout();
+      home = { x: layout.left + layout.width / 2, y: layout.top + layout.height / 2 };
+    }
+    relayout();
+
+    // Apply every event due by song time t; returns how many were fed
+    function feed(t) {
+      const from = index;
+      while (index < events.length && events[index].tMs <= t) {
+        const ev = events[index++];
+        game.input(ev.kind, ev.x, ev.y, ev.tMs);
+      }
+      return index - from;
+    }
+
+    // Visible cursor: eased glide between objects, straight through dense samples
+    function cursorAt(t) {
+      if (events.length === 0) return { ...home };
+      let lo = 0, hi = events.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (events[mid].tMs <= t) lo = mid + 1;
+        else hi = mid;
+      }
+      const next = events[lo];
+      const prev = lo > 0 ? events[lo - 1] : { tMs: events[0].tMs - AUTO_LEAD_MS, x: home.x, y: home.y };
+      if (!next) return { x: prev.x, y: prev.y };
+      if (t <= prev.tMs) return { x: prev.x, y: prev.y };
+
+      const span = next.tMs - prev.tMs;
+      let k = clamp((t - prev.tMs) / span, 0, 1);
+      if (span > AUTO_STEP_MS * 2) k = smoothstep(k);
+      return { x: lerp(prev.x, next.x, k), y: lerp(prev.y, next.y, k) };
+    }
+
+    return {
+      feed,
+      cursorAt,
+      relayout,
+      done: () => index >= events.length,
+    };
+  }
+
+  /**
+   * Autoplays a beatmap headlessly: simulate()'s result plus `imperfect`, the notes autoplay
+   * could not get a Perfect on (e.g. the overlap rule picks another note).
+   */
+  function simulateAutoplay(beatmap, options = {}) {
+    const layout = options.layout || DEFAULT_LAYOUT;
+    const game = createGame(beatmap, { ...options, layout });
+    createAutoplay(game).feed(Infinity);
+    const result = finishGame(game, options.fromMs || 0);
+    result.imperfect = result.judgments.filter(j => j.state !== "skipped" && j.judgment !== "P");
+    return result;
+  }
+
+  return {
+    DEFAULT_CONFIG,
+    DEFAULT_LAYOUT,
+    TIMING_OVERRIDE_KEYS,
+    DEFAULT_DIFFICULTY,
+    MODS,
+    SLIDER_CURVES,
+    HITSOUNDS,
+    RELEASE_KINDS,
+    arToPreemptMs,
+    odToWindows,
+    hpToRates,
+    normalizeMods,
+    modScoreMultiplier,
+    modRate,
+    resolveDifficulty,
+    resolveTiming,
+    judge,
+    ACCURACY_WEIGHTS,
+    SCORING_MODELS,
+    DEFAULT_SCORING,
+    computeAccuracy,
+    flattenPath,
+    measurePolyline,
+    pointAtDistance,
+    sliderPositionAt,
+    spinnerRotations,
+    spinnerRpm,
+    createGame,
+    simulate,
+    createAutoplay,
+    simulateAutoplay,
+    computeGrade,
+    hitErrors,
+    unstableRate,
+    hitErrorHistogram,
+    sectionSpans,
+    summarizeRun,
+  };
+});
@@ -0,0 +1,200 @@
+/**
+ * Bubble Rhythm — chart linter
+ * - Checks a chart for things the parser accepts but that play strangely: file order, negative times,
+ *   positions the engine clamps, stacked or ambiguous chords, unreachable jumps, a short durationMs
+ * - Works on a beatmap (buildBeatmap(), parseOsu()) or a chart file object before parsing, so note
+ *   indices match the file
+ * - No DOM: loads as a plain <script> (window.BubbleLint) or from Node (require("./lint.js"))
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./engine.js"), require("./beatmap.js"));
+  else root.BubbleLint = factory(root.BubbleEngine, root.BubbleBeatmap);
+})(typeof self !== "undefined" ? self : this, function (Engine, Beatmap) {
+  "use strict";
+
+  // ---------------------- Tuning ----------------------
+  // Distances are in the engine's default 512x384 layout (the playfield always has that shape)
+  const LINT = {
+    CHORD_MS: 2,            // notes this close in time form one chord (same as the star rating)
+    CHORD_REACH_MS: 150,    // time a mouse has to cover a chord's spread in (about the OK window)
+    STACK_RADII: 0.1,       // chord notes closer than this many radii are stacked on each other
+    AMBIGUOUS_RADII: 1,     // chord notes closer than this overlap so much the nearest centre decides
+    MAX_SPEED_PX_MS: 4,     // fastest cursor travel a human lands (a full-width jump in ~130ms)
+    RN_RANGE: [0.6, 1.6],   // rN the engine honours; anything else is clamped
+  };
+
+  const LEVELS = ["error", "warning"];
+
+  function isChartFile(chart) {
+    return chart && typeof chart === "object" && chart.format !== undefined;
+  }
+
+  function outside01(v) { return v < 0 || v > 1; }
+
+  function fmtMs(ms) { return `${Math.round(ms)}ms`; }
+
+  /**
+   * chart: a beatmap or a chart file object ({ format: "bubble-rhythm-beatmap", ... }).
+   * Returns issues sorted by note: [{ level: "error" | "warning", code, notes: [indices], message }].
+   * Indices are positions in chart.notes (file order for chart files). Files that don't parse give a
+   * single "invalid" error.
+   */
+  function lintBeatmap(chart) {
+    let beatmap = chart;
+    if (isChartFile(chart)) {
+      try {
+        beatmap = Beatmap.parseBeatmapObject(chart);
+      } catch (err) {
+        return [issue("error", "invalid", [], err.message)];
+      }
+    }
+    if (!beatmap || !Array.isArray(beatmap.notes) || beatmap.notes.length === 0) {
+      return [issue("error", "invalid", [], "Beatmap has no notes")];
+    }
+
+    const source = chart.notes;
+    const issues = [];
+    checkFileOrder(source, issues);
+    checkNoteFields(source, issues);
+
+    // The parser sorts file notes by time (stable), so sorted position k came from fileIndex[k]
+    const fileIndex = isChartFile(chart)
+      ? source.map((_, i) => i).sort((a, b) => source[a].tMs - source[b].tMs)
+      : beatmap.notes.map((_, i) => i);
+
+    const game = Engine.createGame(beatmap, { layout: Engine.DEFAULT_LAYOUT });
+    const notes = game.notes.slice().sort((a, b) => a.tMs - b.tMs || a.index - b.index);
+    const at = (n) => fileIndex[n.index];
+    checkChords(notes, at, issues);
+    checkTravel(notes, at, issues);
+    checkDuration(beatmap, game, at, issues);
+
+    return issues.sort((a, b) => firstNote(a) - firstNote(b) || LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level));
+  }
+
+  function issue(level, code, notes, message) {
+    return { level, code, notes, message };
+  }
+
+  function firstNote(item) {
+    return item.notes.length ? item.notes[0] : -1;
+  }
+
+  // ---------------------- Checks ----------------------
+  function checkFileOrder(notes, issues) {
+    for (let i = 1; i < notes.length; i++) {
+      const prev = notes[i - 1].tMs, t = notes[i].tMs;
+      if (t < prev) {
+        issues.push(issue("warning", "unsorted", [i],
+          `Note ${i}: tMs ${fmtMs(t)} comes before note ${i - 1} (${fmtMs(prev)}); notes play in time order, not file order`));
+      }
+    }
+  }
+
+  function checkNoteFields(notes, issues) {
+    notes.forEach((n, i) => {
+      if (n.tMs < 0) issues.push(issue("error", "negative-time", [i], `Note ${i}: tMs ${fmtMs(n.tMs)} is before the song starts`));
+      if (n.type === "spinner") return;
+
+      const points = [{ xN: n.xN, yN: n.yN, label: "" }];
+      if (n.type === "slider" && n.path && Array.isArray(n.path.points)) {
+        n.path.points.forEach((p, j) => points.push({ xN: p.xN, yN: p.yN, label: ` path point ${j}` }));
+      }
+      for (const p of points) {
+        if (outside01(p.xN) || outside01(p.yN)) {
+          issues.push(issue("warning", "off-playfield", [i],
+            `Note ${i}:${p.label} (${p.xN}, ${p.yN}) is outside the 0..1 playfield and gets pulled to its edge`));
+        }
+      }
+
+      const [lo, hi] = LINT.RN_RANGE;
+      if (n.rN !== undefined && (n.rN < lo || n.rN > hi)) {
+        issues.push(issue("warning", "radius", [i], `Note ${i}: rN ${n.rN} is outside ${lo}..${hi} and gets clamped`));
+      }
+    });
+  }
+
+  // Same-time notes: stacked on each other, or overlapping so much that attemptHit() can only
+  // tell them apart by whose centre is nearer
+  function checkChords(notes, at, issues) {
+    for (let i = 0; i < notes.length; i++) {
+      const a = notes[i];
+      if (a.kind === "spinner") continue;
+      for (let j = i + 1; j < notes.length && notes[j].tMs - a.tMs <= LINT.CHORD_MS; j++) {
+        const b = notes[j];
+        if (b.kind === "spinner") continue;
+        const d = Math.hypot(a.x - b.x, a.y - b.y);
+        const r = Math.max(a.r, b.r);
+        const pair = [at(a), at(b)].sort((x, y) => x - y);
+        if (d < r * LINT.STACK_RADII) {
+          issues.push(issue("error", "stacked", pair,
+            `Notes ${pair[0]} and ${pair[1]} are at the same time and position`));
+        } else if (d < r * LINT.AMBIGUOUS_RADII) {
+          issues.push(issue("warning", "ambiguous-chord", pair,
+            `Notes ${pair[0]} and ${pair[1]} are a chord whose bubbles overlap past their centres; which one a click hits is a guess`));
+        }
+      }
+    }
+  }
+
+  // Cursor travel from one object (a slider's end) into the next: starting before the previous
+  // slider / spinner ends, or moving faster than MAX_SPEED_PX_MS. Chord notes get CHORD_REACH_MS
+  function checkTravel(notes, at, issues) {
+    for (let i = 1; i < notes.length; i++) {
+      const prev = notes[i - 1], n = notes[i];
+      const chord = n.tMs - prev.tMs <= LINT.CHORD_MS;
+      if (!chord && n.tMs < prev.endMs) {
+        issues.push(issue("warning", "overlap", [at(n)],
+          `Note ${at(n)} starts at ${fmtMs(n.tMs)}, before note ${at(prev)} ends (${fmtMs(prev.endMs)})`));
+        continue;
+      }
+      if (prev.kind === "spinner" || n.kind === "spinner") continue;
+
+      const from = !chord && prev.kind === "slider" ? Engine.sliderPositionAt(prev, prev.endMs) : prev;
+      const gapMs = chord ? LINT.CHORD_REACH_MS : Math.max(1, n.tMs - prev.endMs);
+      const speed = Math.max(0, Math.hypot(n.x - from.x, n.y - from.y) - prev.r - n.r) / gapMs;
+      if (speed > LINT.MAX_SPEED_PX_MS) {
+        issues.push(issue("warning", "fast-jump", [at(n)],
+          `Note ${at(n)}: the jump from note ${at(prev)} needs ${speed.toFixed(1)}px/ms ` +
+          `(limit ${LINT.MAX_SPEED_PX_MS}px/ms on a 512x384 field)`));
+      }
+    }
+  }
+
+  function checkDuration(beatmap, game, at, issues) {
+    const last = game.notes.find(n => n.endMs === game.lastEndMs);
+    if (beatmap.durationMs < game.lastEndMs) {
+      issues.push(issue("error", "duration", [at(last)],
+        `durationMs ${fmtMs(beatmap.durationMs)} ends before note ${at(last)} (${fmtMs(game.lastEndMs)})`));
+    }
+  }
+
+  // ---------------------- Batch helpers ----------------------
+  /** Lint chart file text (.json or .osu). Unparseable text gives a single "invalid" error. */
+  function lintChartText(text) {
+    try {
+      if (Beatmap.isOsuText(text)) return lintBeatmap(Beatmap.parseOsu(text).beatmap);
+      return lintBeatmap(Beatmap.parseJsonText(text));
+    } catch (err) {
+      return [issue("error", "invalid", [], err.message)];
+    }
+  }
+
+  /** "2 errors, 1 warning" / "no issues" */
+  function lintSummary(issues) {
+    const count = (level) => issues.filter(i => i.level === level).length;
+    const parts = [];
+    for (const level of LEVELS) {
+      const n = count(level);
+      if (n) parts.push(`${n} ${level}${n === 1 ? "" : "s"}`);
+    }
+    return parts.length ? parts.join(", ") : "no issues";
+  }
+
+  return {
+    LINT,
+    lintBeatmap,
+    lintChartText,
+    lintSummary,
+  };
+});
@@ -1,37 +1,53 @@
 "use strict";
 
 /**
- * Bubble Rhythm (deterministic charts) — single-file engine
+ * Bubble Rhythm (deterministic charts) — browser client
  * - Static GitHub Pages friendly
- * - Canvas rendering
- * - Click or 'E' triggers same hit logic at cursor
+ * - Canvas rendering + HUD on top of the headless core in engine.js
+ * - Click or a hit key (E / R, rebindable) triggers same hit logic at cursor; hold any to follow sliders
  * - Deterministic patterns with chords
  * - Overlap selection: min |timing error| under cursor, tie-breaker nearest center
  */
 
+const {
+  createGame, createAutoplay, sliderPositionAt, spinnerRotations, spinnerRpm, RELEASE_KINDS,
+  MODS, normalizeMods, modScoreMultiplier, modRate, resolveDifficulty, summarizeRun, sectionSpans,
+  SCORING_MODELS, DEFAULT_SCORING,
+} = BubbleEngine;
+const {
+  parseJsonText, parseBeatmapObject, beatmapToJson, beatmapHash, isOsuText, parseOsu, isFiniteNumber,
+} = BubbleBeatmap;
+const { buildChart, isPatternChart } = BubblePatterns;
+const { rateChart } = BubbleRating;
+const { BUILTIN_SKINS, DEFAULT_SKIN, parseSkinObject, skinImageRefs, mapSkinImages, isImageUrl } = BubbleSkin;
+const { lintBeatmap, lintSummary } = BubbleLint;
+
 // ---------------------- Config ----------------------
 const CONFIG = {
-  // Visual/Timing
-  PREEMPT_MS: 900,          // when a note becomes visible before hit time
-  HIT_WINDOW_MS: 160,       // allowed +/- window around hit time
-  AFTER_MS: 260,            // how long to keep rendering after window (fade out)
-  BASE_RADIUS_PX: 34,       // base bubble radius (scaled slightly by canvas)
+  // Timing / judgments / scoring (see engine.js)
+  ...BubbleEngine.DEFAULT_CONFIG,
+
+  // Visual
+  PLAYFIELD_ASPECT: 4 / 3,  // playfield width / height, letterboxed and centred in the canvas
+  PLAYFIELD_FILL: 0.8,      // share of the letterboxed frame the note area covers (the rest keeps edge bubbles on screen)
   APPROACH_RING_SCALE: 1.8, // approach circle starts at radius * scale then shrinks to radius
+  HP_LOW: 0.25,             // HP bar turns red below this
 
-  // Judgments (abs error thresholds)
-  PERFECT_MS: 45,
-  GOOD_MS: 90,
-  OK_MS: 140,
+  // Audio
+  MIN_LEAD_IN_MS: 1000,     // first note is never closer than this to the start of play
+  AUDIO_SCHEDULE_MS: 60,    // delay before the track starts so scheduling is sample-accurate
 
-  // Scoring
-  SCORE_PERFECT: 300,
-  SCORE_GOOD: 150,
-  SCORE_OK: 60,
-  SCORE_MISS: 0,
-  COMBO_BONUS: 0.06,        // score multiplier per combo step (soft)
+  // Input: default key bindings (KeyboardEvent.code); players rebind them in the Keys panel
+  KEYS: { hit1: "KeyE", hit2: "KeyR", pause: "Space", retry: "Backquote", perf: "F2", bench: "F4" },
+  PAD_SENSITIVITY: 1,       // gamepad stick speed multiplier (Keys panel)
 
-  // Input
-  KEY_HIT: "KeyE",
+  // Sound (defaults; players set volumes in the Sound panel)
+  MUSIC_VOLUME: 1,
+  HITSOUND_VOLUME: 0.6,
+  COMBO_BREAK_MIN: 20,      // combo a miss has to end for the combo-break sound
+
+  // Autoplay
+  ATTRACT_IDLE_MS: 6000,    // idle time on the Ready prompt before the demo starts playing itself
 };
 
 // ---------------------- Utilities ----------------------
@@ -41,115 +57,59 @@ function nowMs() { return performance.now(); }
 
 function fmtPct(x) { return (x * 100).toFixed(2) + "%"; }
 function fmtSec(ms) { return (ms / 1000).toFixed(2) + "s"; }
+function fmtRate(rate) { return `${+rate.toFixed(2)}x`; }
 
 function dist2(ax, ay, bx, by) {
   const dx = ax - bx, dy = ay - by;
   return dx * dx + dy * dy;
 }
 
-// Deterministic pseudo-random (if you ever want “structured variability” without true randomness)
-function mulberry32(seed) {
-  return function () {
-    let t = (seed += 0x6D2B79F5);
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
 // ---------------------- Beatmap (Deterministic) ----------------------
 /**
  * Notes use normalized positions (0..1) then are mapped into canvas safe area.
  * Each note: { tMs, xN, yN, rN? } rN optional size factor.
+ * Sliders add { type: "slider", endMs, path, slides?, tickMs? } (see beatmap.js).
+ * Spinners are { type: "spinner", tMs, endMs, rotations? } at the centre.
+ * The demo chart is composed from patterns.js generators; chart files can use the same description.
  */
+const DEMO_CHART = {
+  format: "bubble-rhythm-patterns",
+  version: 1,
+  title: "Demo Deterministic Chart",
+  bpm: 150,
+  offsetMs: 1200, // lead-in before first note
+  // Starts and spacings keep the timings the chart had before it was written as patterns (hence the
+  // fractional beats), so its content hash, scores and replays carry over
+  patterns: [
+    // Horizontal wave (learnable progression)
+    { type: "wave", section: "Wave", beat: 0, count: 18, spacing: 1.05, from: [0.12, 0.5], to: [0.88, 0.5], amplitude: 0.22, frequency: 0.55 },
+    // Ring / circular formation (rotating sequence)
+    { type: "ring", section: "Ring", beat: 20.4, count: 14, spacing: 0.75, center: [0.5, 0.52], radius: 0.26, angle: -90 },
+    // Four-corner chord, then a mini-wave
+    { type: "chord", section: "Chords", beat: 32.025 },
+    { type: "wave", beat: 33.575, count: 10, spacing: 0.85, from: [0.18, 0.5], by: [0.64, 0], amplitude: 0.18, frequency: 0.9, phase: 1.2 },
+    // "Double" chords: two tracks swaying out of phase, then the ending ring
+    {
+      type: "lissajous", section: "Doubles", beat: 43.325, count: 8, spacing: 0.8,
+      center: [0.3, 0.5], amplitude: [0.1, 0.22], frequency: [0.6, 0.55],
+    },
+    {
+      type: "lissajous", beat: 43.325, count: 8, spacing: 0.8,
+      center: [0.7, 0.5], amplitude: [0.1, 0.22], frequency: [0.6, 0.55], phase: [1.4, 0],
+    },
+    { type: "ring", beat: 51.025, count: 10, spacing: 0.65, center: [0.5, 0.52], radius: 0.24, angle: 90 },
+    // Sliders (straight drag, arc, there-and-back curve), ticks on their 120 bpm beat
+    { type: "slider", section: "Sliders", beat: 58.65, bpm: 120, length: 2, from: [0.25, 0.35], points: [[0.62, 0.35]] },
+    { type: "slider", beat: 62.15, bpm: 120, length: 3, from: [0.72, 0.42], curve: "arc", points: [[0.55, 0.72], [0.3, 0.56]] },
+    { type: "slider", beat: 66.9, bpm: 120, length: 4, slides: 2, from: [0.34, 0.7], curve: "bezier", points: [[0.5, 0.4], [0.66, 0.7]] },
+    // Closing spinner
+    { type: "spinner", section: "Spinner", beat: 73.025, length: 7.5 },
+  ],
+};
+
 function buildBeatmap() {
   // Everything here is deterministic and learnable: waves + ring + chords
-  const notes = [];
-  let t = 1200; // lead-in before first note
-
-  // Section A: horizontal wave (learnable progression)
-  {
-    const count = 18;
-    const step = 420;
-    for (let i = 0; i < count; i++) {
-      const x = lerp(0.12, 0.88, i / (count - 1));
-      const y = 0.50 + 0.22 * Math.sin(i * 0.55);
-      notes.push({ tMs: t + i * step, xN: x, yN: y });
-    }
-    t += count * step + 600;
-  }
-
-  // Section B: ring / circular formation (rotating sequence)
-  {
-    const center = { x: 0.50, y: 0.52 };
-    const ringR = 0.26;
-    const count = 14;
-    const step = 300;
-    const startAngle = -Math.PI / 2;
-    for (let i = 0; i < count; i++) {
-      const a = startAngle + i * (2 * Math.PI / count);
-      const x = center.x + ringR * Math.cos(a);
-      const y = center.y + ringR * Math.sin(a);
-      notes.push({ tMs: t + i * step, xN: x, yN: y });
-    }
-    t += count * step + 450;
-  }
-
-  // Section C: chord hits (multiple simultaneous bubbles)
-  {
-    const chordT = t;
-    // 4-note chord on corners (structured and memorable)
-    notes.push({ tMs: chordT, xN: 0.22, yN: 0.30 });
-    notes.push({ tMs: chordT, xN: 0.78, yN: 0.30 });
-    notes.push({ tMs: chordT, xN: 0.22, yN: 0.74 });
-    notes.push({ tMs: chordT, xN: 0.78, yN: 0.74 });
-
-    // Follow-up mini-wave
-    const step = 340;
-    for (let i = 0; i < 10; i++) {
-      const x = 0.18 + 0.64 * (i / 9);
-      const y = 0.50 + 0.18 * Math.sin(i * 0.9 + 1.2);
-      notes.push({ tMs: chordT + 620 + i * step, xN: x, yN: y });
-    }
-    t = chordT + 620 + 10 * step + 500;
-  }
-
-  // Section D: “double” chords (two at once), then ending ring
-  {
-    const step = 320;
-    for (let i = 0; i < 8; i++) {
-      const tt = t + i * step;
-      const xL = 0.30 + 0.10 * Math.sin(i * 0.6);
-      const xR = 0.70 + 0.10 * Math.sin(i * 0.6 + 1.4);
-      const y = 0.50 + 0.22 * Math.cos(i * 0.55);
-      notes.push({ tMs: tt, xN: xL, yN: y });
-      notes.push({ tMs: tt, xN: xR, yN: y });
-    }
-    t += 8 * step + 520;
-
-    const center = { x: 0.50, y: 0.52 };
-    const ringR = 0.24;
-    const count = 10;
-    const step2 = 260;
-    for (let i = 0; i < count; i++) {
-      const a = (Math.PI / 2) + i * (2 * Math.PI / count);
-      notes.push({
-        tMs: t + i * step2,
-        xN: center.x + ringR * Math.cos(a),
-        yN: center.y + ringR * Math.sin(a),
-      });
-    }
-    t += count * step2 + 450;
-  }
-
-  // Sort by time (important for consistent evaluation / end condition)
-  notes.sort((a, b) => a.tMs - b.tMs);
-
-  return {
-    title: "Demo Deterministic Chart",
-    durationMs: t + 1200,
-    notes,
-  };
+  return buildChart(DEMO_CHART);
 }
 
 // ---------------------- Game State ----------------------
@@ -158,43 +118,92 @@ const STATE = {
   paused: false,
   ended: false,
 
-  startAtPerfMs: 0, // performance.now() when started
-  pauseAtPerfMs: 0,
+  startAtClockMs: 0, // clock time (see clockNowMs) at which song time is 0
+  pauseAtClockMs: 0,
   pausedTotalMs: 0,
+  rate: 1,           // song ms per clock ms (replay speed)
 
   cursorX: 0,
   cursorY: 0,
 
-  score: 0,
-  combo: 0,
-  maxCombo: 0,
-
-  p: 0, g: 0, o: 0, m: 0,
-  totalJudged: 0,
-  totalHit: 0,
-
   toastTimer: 0,
 
+  // Input recording / replay playback (see Replays section)
+  replay: {
+    mode: "off",  // "recording" while playing live, "playing" during playback
+    events: [],   // [tMs, kind, xN, yN]; kind: see REPLAY_KINDS
+    index: 0,     // next event to feed during playback
+    startMs: 0,
+    data: null,   // replay being played back
+    last: null,   // last finished recording, ready to save
+  },
+
+  // Chart editor (see Editor section)
+  editor: {
+    active: false,
+    timeMs: 0,
+    snap: 4,              // beat divisor: 1, 2 or 4
+    selection: new Set(), // beatmap note objects
+    clipboard: [],        // copied notes, tMs relative to the earliest one
+    drag: null,           // { startXN, startYN, origin: Map(note -> {xN, yN}) }
+  },
+
+  // Web Audio track; while `playing`, the audio context drives the song clock
+  audio: {
+    ctx: null,
+    buffer: null,
+    name: "",
+    source: null,
+    gain: null,       // music volume
+    playing: false,
+  },
+
+  // Hitsounds and volumes (see Hitsounds section)
+  sound: {
+    musicVolume: CONFIG.MUSIC_VOLUME,
+    hitVolume: CONFIG.HITSOUND_VOLUME,
+    samples: {},      // slot -> { name, dataUrl, buffer? } loaded from local files
+    synth: {},        // slot -> synthesized AudioBuffer
+    loadSlot: null,   // slot the sample file picker is open for
+  },
+
+  // Autoplay driving the current run (see Autoplay section)
+  auto: null,       // { mode: "auto" | "attract", fromMs, player }
+  practice: { fromMs: 0, toMs: null, speed: 1, loop: true }, // Practice panel settings (see Practice section)
+  practiceRun: null, // the current run's practice settings; null for normal runs
+  practiceLoops: 0,  // A-B passes finished in the current practice session
+  practiceLog: {},   // { [beatmapHash]: [attempt] } practice results, kept apart from the leaderboards
+  idleSinceMs: 0,   // last key / pointer press, for attract mode
+
+  mods: [], // selected mod ids for the next run (see Mods section); the run's own are STATE.game.mods
+  scoring: DEFAULT_SCORING, // scoring model for the next run (see Scoring section); the run's own is STATE.game.scoring
+  keys: { ...CONFIG.KEYS },  // active key bindings (see Key Bindings section)
+  offsets: { universalMs: 0, visualMs: 0 }, // latency compensation (see Offset Calibration section)
+  calibration: null,        // metronome run in the Offset panel
+  keyOverlay: true,
+  keyListen: null,          // action waiting for its new key in the Keys panel
+  pressCounts: { key: 0, key2: 0, mouse: 0 }, // overlay counters for the current run
+  pressHeld: new Set(),     // overlay: press kinds currently down
+  touches: [],              // identifiers of the fingers down on the canvas, oldest first
+  pad: { sensitivity: CONFIG.PAD_SENSITIVITY, down: {}, lastMs: 0 }, // gamepad (see Gamepad section)
+
+  perf: { overlay: false, frames: [], workMs: [], drawn: 0, bench: null }, // FPS overlay (see Performance section)
+
+  skin: DEFAULT_SKIN,      // active skin (see Skins section)
+  skinId: "default",
+  customSkins: [],          // loaded skins: [{ id, skin }], images inlined as data: URLs
+  skinImages: new Map(),    // image reference -> HTMLImageElement
+  cursorTrail: [],          // recent cursor positions, newest last
+
+  rating: null, // { key, result } star rating of the loaded chart with the selected mods (see Star Rating section)
+  scores: {}, // local leaderboards: { [beatmapHash]: { title, scores: [entry] } } (see Leaderboards section)
+  lastScore: null, // { hash, entry } of the run just recorded, highlighted on its board
+  lint: [], // chart check issues for the loaded chart (see Chart Check section)
+
   beatmap: null,
-  noteStates: [], // derived note objects with pixel coords etc
+  game: null, // engine game for the current run: timing, runtime notes (canvas px), stats
 };
 
-// Note runtime representation
-function makeRuntimeNote(noteDef, px, py, radiusPx) {
-  return {
-    tMs: noteDef.tMs,
-    x: px,
-    y: py,
-    r: radiusPx * (noteDef.rN ? clamp(noteDef.rN, 0.6, 1.6) : 1.0),
-
-    // state: "pending" -> "hit" or "miss"
-    state: "pending",
-    judgedAtMs: null,
-    deltaMs: null,
-    judgment: null, // "P"|"G"|"O"|"M"
-  };
-}
-
 // ---------------------- Canvas Setup ----------------------
 const canvas = document.getElementById("game");
 const ctx = canvas.getContext("2d", { alpha: true });
@@ -203,6 +212,7 @@ let cssW = 0, cssH = 0;
 let dpr = 1;
 
 function resizeCanvas() {
+  const before = playfieldRect();
   const rect = canvas.getBoundingClientRect();
   cssW = Math.max(1, Math.floor(rect.width));
   cssH = Math.max(1, Math.floor(rect.height));
@@ -213,9 +223,18 @@ function resizeCanvas() {
   canvas.height = Math.floor(cssH * dpr);
   ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
 
-  // Recompute note pixel positions if map already loaded
-  if (STATE.beatmap) {
-    rebuildRuntimeNotes();
+  // Keep the cursor over the same playfield spot (it may sit in the letterbox, so no clamping)
+  const after = playfieldRect();
+  const sx = (after.right - after.left) / Math.max(1, before.right - before.left);
+  const sy = (after.bottom - after.top) / Math.max(1, before.bottom - before.top);
+  STATE.cursorX = after.left + (STATE.cursorX - before.left) * sx;
+  STATE.cursorY = after.top + (STATE.cursorY - before.top) * sy;
+  STATE.cursorTrail = [];
+
+  // Recompute note pixel positions if map already loaded (judgments are kept)
+  if (STATE.game) {
+    STATE.game.setLayout(playfieldLayout());
+    if (STATE.auto) STATE.auto.player.relayout();
   }
 }
 
@@ -226,21 +245,156 @@ const el = {
   btnStart: document.getElementById("btnStart"),
   btnRestart: document.getElementById("btnRestart"),
   btnPause: document.getElementById("btnPause"),
+  btnLoad: document.getElementById("btnLoad"),
+  btnExport: document.getElementById("btnExport"),
+  fileBeatmap: document.getElementById("fileBeatmap"),
+  btnAudio: document.getElementById("btnAudio"),
+  fileAudio: document.getElementById("fileAudio"),
+  btnEditor: document.getElementById("btnEditor"),
+  btnReplaySave: document.getElementById("btnReplaySave"),
+  btnReplayLoad: document.getElementById("btnReplayLoad"),
+  fileReplay: document.getElementById("fileReplay"),
+  replaySpeed: document.getElementById("replaySpeed"),
+  btnAuto: document.getElementById("btnAuto"),
+  btnPractice: document.getElementById("btnPractice"),
+  practicePanel: document.getElementById("practicePanel"),
+  pracSection: document.getElementById("pracSection"),
+  pracFrom: document.getElementById("pracFrom"),
+  pracTo: document.getElementById("pracTo"),
+  pracLoop: document.getElementById("pracLoop"),
+  pracSpeed: document.getElementById("pracSpeed"),
+  pracSpeedLabel: document.getElementById("pracSpeedLabel"),
+  pracTable: document.getElementById("pracTable"),
+  pracStart: document.getElementById("pracStart"),
+  pracClose: document.getElementById("pracClose"),
+  btnMods: document.getElementById("btnMods"),
+  modPanel: document.getElementById("modPanel"),
+  modGrid: document.getElementById("modGrid"),
+  modDiff: document.getElementById("modDiff"),
+  modMult: document.getElementById("modMult"),
+  modScoring: document.getElementById("modScoring"),
+  modScoringInfo: document.getElementById("modScoringInfo"),
+  modClose: document.getElementById("modClose"),
+  btnKeys: document.getElementById("btnKeys"),
+  btnSkin: document.getElementById("btnSkin"),
+  btnSound: document.getElementById("btnSound"),
+  soundPanel: document.getElementById("soundPanel"),
+  sndMusic: document.getElementById("sndMusic"),
+  sndMusicLabel: document.getElementById("sndMusicLabel"),
+  sndHits: document.getElementById("sndHits"),
+  sndHitsLabel: document.getElementById("sndHitsLabel"),
+  sndList: document.getElementById("sndList"),
+  fileSound: document.getElementById("fileSound"),
+  sndReset: document.getElementById("sndReset"),
+  sndClose: document.getElementById("sndClose"),
+  btnCheck: document.getElementById("btnCheck"),
+  lintPanel: document.getElementById("lintPanel"),
+  lintInfo: document.getElementById("lintInfo"),
+  lintList: document.getElementById("lintList"),
+  lintClose: document.getElementById("lintClose"),
+  skinPanel: document.getElementById("skinPanel"),
+  skinSelect: document.getElementById("skinSelect"),
+  skinInfo: document.getElementById("skinInfo"),
+  skinSwatches: document.getElementById("skinSwatches"),
+  skinImport: document.getElementById("skinImport"),
+  skinRemove: document.getElementById("skinRemove"),
+  fileSkin: document.getElementById("fileSkin"),
+  skinClose: document.getElementById("skinClose"),
+  keyPanel: document.getElementById("keyPanel"),
+  keyList: document.getElementById("keyList"),
+  keyOverlayToggle: document.getElementById("keyOverlayToggle"),
+  padSensitivity: document.getElementById("padSensitivity"),
+  padSensitivityLabel: document.getElementById("padSensitivityLabel"),
+  keyReset: document.getElementById("keyReset"),
+  keyClose: document.getElementById("keyClose"),
+  promptKeys: document.getElementById("promptKeys"),
+  promptStars: document.getElementById("promptStars"),
+  promptStrain: document.getElementById("promptStrain"),
+  btnOffset: document.getElementById("btnOffset"),
+  calPanel: document.getElementById("calPanel"),
+  calPad: document.getElementById("calPad"),
+  calStatus: document.getElementById("calStatus"),
+  calStart: document.getElementById("calStart"),
+  calApply: document.getElementById("calApply"),
+  calUniversal: document.getElementById("calUniversal"),
+  calVisual: document.getElementById("calVisual"),
+  calClose: document.getElementById("calClose"),
+  btnScores: document.getElementById("btnScores"),
+  scorePanel: document.getElementById("scorePanel"),
+  scoreMap: document.getElementById("scoreMap"),
+  scoreTable: document.getElementById("scoreTable"),
+  scoreExport: document.getElementById("scoreExport"),
+  scoreImport: document.getElementById("scoreImport"),
+  fileScores: document.getElementById("fileScores"),
+  scoreClose: document.getElementById("scoreClose"),
+  resultsPanel: document.getElementById("resultsPanel"),
+  resGrade: document.getElementById("resGrade"),
+  resTitle: document.getElementById("resTitle"),
+  resSub: document.getElementById("resSub"),
+  resStats: document.getElementById("resStats"),
+  resPb: document.getElementById("resPb"),
+  resHist: document.getElementById("resHist"),
+  resTimeline: document.getElementById("resTimeline"),
+  resRetry: document.getElementById("resRetry"),
+  resClose: document.getElementById("resClose"),
+  failPanel: document.getElementById("failPanel"),
+  failInfo: document.getElementById("failInfo"),
+  failRetry: document.getElementById("failRetry"),
+  failQuit: document.getElementById("failQuit"),
+
+  app: document.getElementById("app"),
+  editorBar: document.getElementById("editorBar"),
+  edTimeline: document.getElementById("edTimeline"),
+  edTime: document.getElementById("edTime"),
+  edBpm: document.getElementById("edBpm"),
+  edOffset: document.getElementById("edOffset"),
+  edSnap: document.getElementById("edSnap"),
+  edAr: document.getElementById("edAr"),
+  edOd: document.getElementById("edOd"),
+  edCs: document.getElementById("edCs"),
+  edHp: document.getElementById("edHp"),
+  edHitsound: document.getElementById("edHitsound"),
+  edChord: document.getElementById("edChord"),
+  edSlider: document.getElementById("edSlider"),
+  edDelete: document.getElementById("edDelete"),
+  edTest: document.getElementById("edTest"),
+  edAuto: document.getElementById("edAuto"),
 
   score: document.getElementById("score"),
   combo: document.getElementById("combo"),
   acc: document.getElementById("acc"),
+  grade: document.getElementById("grade"),
   pCnt: document.getElementById("pCnt"),
   gCnt: document.getElementById("gCnt"),
   oCnt: document.getElementById("oCnt"),
   mCnt: document.getElementById("mCnt"),
   time: document.getElementById("time"),
   notesLeft: document.getElementById("notesLeft"),
+  mods: document.getElementById("mods"),
+  hpBar: document.getElementById("hpBar"),
+  hpFill: document.getElementById("hpFill"),
 
   centerPrompt: document.getElementById("centerPrompt"),
   toast: document.getElementById("toast"),
 };
 
+// Mods / keys / skin / sound / chart check / offset / scores / practice / results / fail overlay up (the attract demo waits)
+function anyPanelOpen() {
+  return [el.modPanel, el.keyPanel, el.skinPanel, el.soundPanel, el.lintPanel, el.calPanel, el.scorePanel, el.practicePanel,
+    el.resultsPanel, el.failPanel].some(p => !p.hidden);
+}
+
+function closeSettingsPanels() {
+  closeModPanel();
+  closePracticePanel();
+  closeKeyPanel();
+  closeSkinPanel();
+  closeSoundPanel();
+  closeLintPanel();
+  closeCalPanel();
+  closeScorePanel();
+}
+
 function showPrompt(show) {
   el.centerPrompt.style.display = show ? "grid" : "none";
 }
@@ -258,53 +412,90 @@ function updateToast() {
 }
 
 function updateHud(currentMs) {
-  el.score.textContent = Math.floor(STATE.score).toString();
-  el.combo.textContent = STATE.combo.toString();
+  const stats = STATE.game.stats;
+  el.score.textContent = Math.floor(stats.score).toString();
+  el.combo.textContent = stats.combo.toString();
 
-  const acc = computeAccuracy();
-  el.acc.textContent = fmtPct(acc);
+  el.acc.textContent = fmtPct(STATE.game.accuracy());
+  el.grade.textContent = stats.totalJudged ? STATE.game.grade() : "–";
 
-  el.pCnt.textContent = STATE.p.toString();
-  el.gCnt.textContent = STATE.g.toString();
-  el.oCnt.textContent = STATE.o.toString();
-  el.mCnt.textContent = STATE.m.toString();
+  el.pCnt.textContent = stats.p.toString();
+  el.gCnt.textContent = stats.g.toString();
+  el.oCnt.textContent = stats.o.toString();
+  el.mCnt.textContent = stats.m.toString();
 
   el.time.textContent = fmtSec(currentMs);
-  el.notesLeft.textContent = countNotesLeft().toString();
-}
-
-function computeAccuracy() {
-  // Weighted accuracy: P=1.0, G=0.75, O=0.45, M=0.0
-  const denom = Math.max(1, STATE.totalJudged);
-  const num = STATE.p * 1.0 + STATE.g * 0.75 + STATE.o * 0.45;
-  return num / denom;
-}
+  el.notesLeft.textContent = STATE.game.notesLeft().toString();
+  el.mods.textContent = modsLabel(STATE.running ? STATE.game.mods : STATE.mods);
 
-function countNotesLeft() {
-  return STATE.noteStates.filter(n => n.state === "pending").length;
+  el.hpFill.style.width = `${(stats.hp * 100).toFixed(1)}%`;
+  el.hpBar.classList.toggle("low", stats.hp < CONFIG.HP_LOW);
 }
 
 // ---------------------- Build / Reset ----------------------
-function loadBeatmap() {
-  STATE.beatmap = buildBeatmap();
+// source: what the chart was loaded from (a chart file object keeps chart check indices in file order)
+function loadBeatmap(beatmap = buildBeatmap(), source = beatmap) {
+  STATE.beatmap = beatmap;
+  STATE.lint = lintBeatmap(source);
+  STATE.editor.selection.clear();
   rebuildRuntimeNotes();
+  if (STATE.editor.active) syncEditorControls();
+  if (!el.modPanel.hidden) syncModPanel();
+  if (!el.scorePanel.hidden) renderScoreTable();
+  syncChartRating();
   updateHud(0);
-  toast(`Loaded: ${STATE.beatmap.title} (${STATE.beatmap.notes.length} notes)`);
+  const loaded = `Loaded: ${STATE.beatmap.title} (${STATE.beatmap.notes.length} notes)`;
+  toast([loaded, lintNote(), audioMismatchNote()].filter(Boolean).join(" • "));
+  if (STATE.lint.some(i => i.level === "error") && !STATE.running) openLintPanel();
 }
 
-function rebuildRuntimeNotes() {
-  const safePad = Math.max(26, Math.min(cssW, cssH) * 0.08);
-  const left = safePad;
-  const right = cssW - safePad;
-  const top = safePad;
-  const bottom = cssH - safePad;
+// Largest PLAYFIELD_ASPECT box centred in the canvas; everything outside it is letterbox
+function playfieldFrame() {
+  const w = Math.min(cssW, cssH * CONFIG.PLAYFIELD_ASPECT);
+  const h = w / CONFIG.PLAYFIELD_ASPECT;
+  return { left: (cssW - w) / 2, top: (cssH - h) / 2, width: w, height: h };
+}
+
+// Canvas area that normalized 0..1 note coordinates map into: the centre of the frame, same aspect.
+// The radius scales with it like the engine's default layout (22 at CS 4 on a 512x384 field)
+function playfieldRect() {
+  const frame = playfieldFrame();
+  const w = frame.width * CONFIG.PLAYFIELD_FILL;
+  const h = frame.height * CONFIG.PLAYFIELD_FILL;
+  const left = (cssW - w) / 2;
+  const top = (cssH - h) / 2;
+  const { radius, height } = BubbleEngine.DEFAULT_LAYOUT;
+  return { left, right: left + w, top, bottom: top + h, baseR: h * (radius / height) };
+}
+
+// Canvas pixel -> normalized playfield coordinates (inverse of the mapping below)
+function pixelToNormalized(px, py) {
+  const pf = playfieldRect();
+  return {
+    xN: clamp((px - pf.left) / (pf.right - pf.left), 0, 1),
+    yN: clamp((py - pf.top) / (pf.bottom - pf.top), 0, 1),
+  };
+}
 
-  const baseR = Math.max(18, Math.min(CONFIG.BASE_RADIUS_PX, Math.min(cssW, cssH) * 0.055));
+// Engine layout: notes and hits in canvas pixels
+function playfieldLayout() {
+  const pf = playfieldRect();
+  return { left: pf.left, top: pf.top, width: pf.right - pf.left, height: pf.bottom - pf.top, radius: pf.baseR };
+}
 
-  STATE.noteStates = STATE.beatmap.notes.map((n) => {
-    const px = lerp(left, right, clamp(n.xN, 0, 1));
-    const py = lerp(top, bottom, clamp(n.yN, 0, 1));
-    return makeRuntimeNote(n, px, py, baseR);
+// Fresh engine game (all notes pending) for the current beatmap; idle and editor views are unmodded
+// practice: { toMs, ... } ends the run early and keeps it from failing (see Practice section)
+function rebuildRuntimeNotes(fromMs = 0, mods = [], practice = null, scoring = STATE.scoring) {
+  STATE.game = createGame(STATE.beatmap, {
+    config: CONFIG,
+    layout: playfieldLayout(),
+    fromMs,
+    mods,
+    scoring,
+    toMs: practice ? practice.toMs : null,
+    noFail: !!practice,
+    onHit: onHitSound,
+    onComboBreak: onComboBreakSound,
   });
 }
 
@@ -313,19 +504,22 @@ function resetGameState() {
   STATE.paused = false;
   STATE.ended = false;
 
-  STATE.startAtPerfMs = 0;
-  STATE.pauseAtPerfMs = 0;
+  STATE.startAtClockMs = 0;
+  STATE.pauseAtClockMs = 0;
   STATE.pausedTotalMs = 0;
+  STATE.rate = 1;
 
-  STATE.score = 0;
-  STATE.combo = 0;
-  STATE.maxCombo = 0;
+  STATE.replay.mode = "off";
+  STATE.auto = null;
+  STATE.practiceRun = null;
+  STATE.pressCounts = { key: 0, key2: 0, mouse: 0 };
+  STATE.pressHeld.clear();
+  el.resultsPanel.hidden = true;
+  el.failPanel.hidden = true;
 
-  STATE.p = 0; STATE.g = 0; STATE.o = 0; STATE.m = 0;
-  STATE.totalJudged = 0;
-  STATE.totalHit = 0;
+  stopAudio();
 
-  // Reset notes
+  // Reset notes and score
   rebuildRuntimeNotes();
 
   el.btnStart.disabled = false;
@@ -333,17 +527,373 @@ function resetGameState() {
   el.btnPause.disabled = true;
   el.btnPause.textContent = "Pause";
 
-  showPrompt(true);
+  showPrompt(!STATE.editor.active);
+  if (!STATE.editor.active) syncChartRating();
   updateHud(0);
 }
 
 // ---------------------- Timing ----------------------
+/**
+ * Song time source:
+ * - with an audio track playing: AudioContext.currentTime (sample clock; stops while suspended)
+ * - otherwise: performance.now() with pause bookkeeping
+ * The universal offset (see Offset Calibration) is real-time latency: song time runs that much behind
+ * the clock, so every input is judged against the music as the player hears it.
+ */
+function clockNowMs() {
+  return STATE.audio.playing ? STATE.audio.ctx.currentTime * 1000 : nowMs();
+}
+
 function getSongTimeMs() {
   if (!STATE.running) return 0;
-  if (STATE.paused) {
-    return STATE.pauseAtPerfMs - STATE.startAtPerfMs - STATE.pausedTotalMs;
+  const at = STATE.paused ? STATE.pauseAtClockMs : clockNowMs();
+  return (at - STATE.startAtClockMs - STATE.pausedTotalMs - STATE.offsets.universalMs) * STATE.rate;
+}
+
+// Change playback speed mid-run without jumping song time
+function setSongRate(rate) {
+  if (STATE.running) {
+    const t = getSongTimeMs();
+    const at = STATE.paused ? STATE.pauseAtClockMs : clockNowMs();
+    STATE.startAtClockMs = at - STATE.pausedTotalMs - STATE.offsets.universalMs - t / rate;
+  }
+  STATE.rate = rate;
+  if (STATE.audio.source) STATE.audio.source.playbackRate.value = rate;
+}
+
+// Silence before song time 0 so an early first note is still readable
+function leadInMs(beatmap) {
+  const first = beatmap.notes.length ? beatmap.notes[0].tMs : 0;
+  return Math.max(0, beatmap.leadInMs || 0, CONFIG.MIN_LEAD_IN_MS - first);
+}
+
+// ---------------------- Audio ----------------------
+function ensureAudioContext() {
+  if (!STATE.audio.ctx) {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) throw new Error("Web Audio is not supported in this browser");
+    STATE.audio.ctx = new AudioCtx();
+  }
+  return STATE.audio.ctx;
+}
+
+async function loadAudioFile(file) {
+  try {
+    const ctx = ensureAudioContext();
+    const buffer = await ctx.decodeAudioData(await file.arrayBuffer());
+    resetGameState();
+    STATE.audio.buffer = buffer;
+    STATE.audio.name = file.name;
+    toast(`Audio: ${file.name} (${fmtSec(buffer.duration * 1000)})`);
+  } catch (err) {
+    toast(`Audio failed (${file.name}): ${err.message || "could not decode"}`);
+  }
+}
+
+/**
+ * Schedules the track so that audio position `fromMs` plays exactly `leadMs` (song ms) from now
+ * (audio position == song time). Returns the clock time (ms) of song time 0 at STATE.rate.
+ */
+function startAudio(fromMs, leadMs) {
+  const a = STATE.audio;
+  const ctx = a.ctx;
+  ctx.resume();
+
+  const source = ctx.createBufferSource();
+  source.buffer = a.buffer;
+  source.playbackRate.value = STATE.rate;
+  const gain = ctx.createGain();
+  gain.gain.value = STATE.sound.musicVolume;
+  source.connect(gain).connect(ctx.destination);
+
+  const playAt = ctx.currentTime + (CONFIG.AUDIO_SCHEDULE_MS + leadMs / STATE.rate) / 1000;
+  source.start(playAt, Math.max(0, fromMs) / 1000);
+
+  a.source = source;
+  a.gain = gain;
+  a.playing = true;
+  return playAt * 1000 - fromMs / STATE.rate;
+}
+
+function stopAudio() {
+  const a = STATE.audio;
+  if (a.source) {
+    a.source.stop();
+    a.source.disconnect();
+    a.gain.disconnect();
+    a.source = null;
+    a.gain = null;
+  }
+  a.playing = false;
+  if (a.ctx && a.ctx.state === "suspended") a.ctx.resume();
+}
+
+function audioMismatchNote() {
+  const wanted = STATE.beatmap && STATE.beatmap.audio;
+  if (!wanted || STATE.audio.name === wanted) return "";
+  return `Chart uses "${wanted}" — load it with Audio`;
+}
+
+// ---------------------- Hitsounds ----------------------
+/**
+ * Every hit plays the note's hitsound (beatmap `hitsound`: normal / whistle / finish / clap; slider
+ * heads and ends too), and a miss that ends a combo of CONFIG.COMBO_BREAK_MIN or more plays the
+ * combo-break sound. The engine reports both through createGame's onHit / onComboBreak hooks.
+ * Default samples are synthesized into AudioBuffers, so the static build ships no sound files;
+ * the Sound panel sets volumes and swaps in samples from local files (kept in localStorage as
+ * data: URLs).
+ */
+const SOUND_STORAGE_KEY = "bubble-rhythm.sound";
+const SOUND_SLOTS = {
+  normal: "Normal",
+  whistle: "Whistle",
+  finish: "Finish",
+  clap: "Clap",
+  combobreak: "Combo break",
+};
+
+// Deterministic noise (LCG), so a synthesized sample sounds the same on every load
+function noiseSource(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (Math.imul(s, 1664525) + 1013904223) >>> 0;
+    return s / 2147483648 - 1;
+  };
+}
+
+// Default samples: [length (s), sampleAt(t, noise, state)] with t in s; state starts empty on every render
+const SYNTHS = {
+  // Soft click with a short body
+  normal: [0.09, (t, noise) =>
+    Math.exp(-t * 60) * (0.6 * Math.sin(2 * Math.PI * 1100 * t) + 0.25 * noise()) +
+    Math.exp(-t * 35) * 0.35 * Math.sin(2 * Math.PI * 220 * t)],
+  // Rising whistle, 1800 -> 2400 Hz
+  whistle: [0.22, t =>
+    Math.min(1, t * 200) * Math.exp(-t * 14) * Math.sin(2 * Math.PI * (1800 * t + 600 / 0.22 / 2 * t * t))],
+  // Cymbal: high-passed noise with a few metallic partials, long tail
+  finish: [0.6, (t, noise, state) => {
+    const n = noise();
+    const high = n - (state.last || 0);
+    state.last = n;
+    const metal = [3150, 4270, 5650].reduce((sum, f) => sum + Math.sin(2 * Math.PI * f * t), 0);
+    return Math.exp(-t * 6) * (0.5 * high + 0.08 * metal);
+  }],
+  // Three quick noise bursts and a short room tail
+  clap: [0.16, (t, noise) => {
+    const n = noise();
+    const bursts = [0, 0.011, 0.022].reduce((sum, at) => sum + (t >= at ? Math.exp(-(t - at) * 220) : 0), 0);
+    return n * (0.6 * bursts + 0.25 * Math.exp(-t * 28));
+  }],
+  // Falling, slightly overdriven tone, 440 -> 110 Hz
+  combobreak: [0.35, t =>
+    Math.exp(-t * 7) * Math.tanh(3 * Math.sin(2 * Math.PI * (440 * t - 330 / 0.35 / 2 * t * t)))],
+};
+
+function synthSample(ctx, slot) {
+  const [lengthSec, sampleAt] = SYNTHS[slot];
+  const rate = ctx.sampleRate;
+  const buffer = ctx.createBuffer(1, Math.ceil(lengthSec * rate), rate);
+  const data = buffer.getChannelData(0);
+  const noise = noiseSource(Object.keys(SOUND_SLOTS).indexOf(slot) + 1);
+  const state = {}; // filter memory for this render only
+  let peak = 0;
+  for (let i = 0; i < data.length; i++) {
+    data[i] = sampleAt(i / rate, noise, state);
+    peak = Math.max(peak, Math.abs(data[i]));
+  }
+  const scale = peak > 0 ? 0.9 / peak : 0;
+  for (let i = 0; i < data.length; i++) data[i] *= scale;
+  return buffer;
+}
+
+async function decodeSample(ctx, sample) {
+  sample.decoding = true;
+  try {
+    sample.buffer = await ctx.decodeAudioData(await (await fetch(sample.dataUrl)).arrayBuffer());
+  } catch (err) {
+    toast(`Sample ${sample.name} could not be decoded`);
+  }
+}
+
+// Loaded sample for the slot once decoded, otherwise the synthesized default
+function soundBuffer(ctx, slot) {
+  const snd = STATE.sound;
+  const sample = snd.samples[slot];
+  if (sample && sample.buffer) return sample.buffer;
+  if (sample && !sample.decoding) decodeSample(ctx, sample);
+  if (!snd.synth[slot]) snd.synth[slot] = synthSample(ctx, slot);
+  return snd.synth[slot];
+}
+
+// Run start: make every buffer (and decode loaded samples) before the first hit needs one
+function prepareSounds() {
+  try {
+    const ctx = ensureAudioContext();
+    for (const slot of Object.keys(SOUND_SLOTS)) soundBuffer(ctx, slot);
+  } catch (err) {
+    // no Web Audio: runs are silent
+  }
+}
+
+function playSound(slot) {
+  if (STATE.sound.hitVolume <= 0) return;
+  let ctx;
+  try {
+    ctx = ensureAudioContext();
+  } catch (err) {
+    return;
+  }
+  if (ctx.state === "suspended" && !STATE.paused) ctx.resume();
+  const source = ctx.createBufferSource();
+  source.buffer = soundBuffer(ctx, slot);
+  const gain = ctx.createGain();
+  gain.gain.value = STATE.sound.hitVolume;
+  source.connect(gain).connect(ctx.destination);
+  source.start();
+}
+
+// Engine hooks (see rebuildRuntimeNotes); the attract demo stays silent
+function onHitSound(note) {
+  if (STATE.auto && STATE.auto.mode === "attract") return;
+  playSound(note.hitsound);
+}
+
+function onComboBreakSound(combo) {
+  if (STATE.auto && STATE.auto.mode === "attract") return;
+  if (combo >= CONFIG.COMBO_BREAK_MIN) playSound("combobreak");
+}
+
+function loadSavedSound() {
+  const volume = (v, fallback) => (isFiniteNumber(v) ? clamp(v, 0, 1) : fallback);
+  try {
+    const saved = JSON.parse(localStorage.getItem(SOUND_STORAGE_KEY) || "{}");
+    const samples = {};
+    for (const [slot, s] of Object.entries(saved.samples || {})) {
+      if (slot in SOUND_SLOTS && s && typeof s.dataUrl === "string") samples[slot] = { name: String(s.name), dataUrl: s.dataUrl };
+    }
+    return {
+      musicVolume: volume(saved.musicVolume, CONFIG.MUSIC_VOLUME),
+      hitVolume: volume(saved.hitVolume, CONFIG.HITSOUND_VOLUME),
+      samples,
+    };
+  } catch (err) {
+    return { musicVolume: CONFIG.MUSIC_VOLUME, hitVolume: CONFIG.HITSOUND_VOLUME, samples: {} };
   }
-  return nowMs() - STATE.startAtPerfMs - STATE.pausedTotalMs;
+}
+
+// Returns false when storage is unavailable or full (long samples): settings last for this session only
+function saveSound() {
+  const snd = STATE.sound;
+  const samples = {};
+  for (const [slot, s] of Object.entries(snd.samples)) samples[slot] = { name: s.name, dataUrl: s.dataUrl };
+  try {
+    localStorage.setItem(SOUND_STORAGE_KEY, JSON.stringify({ musicVolume: snd.musicVolume, hitVolume: snd.hitVolume, samples }));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+async function loadSampleFile(slot, file) {
+  try {
+    const ctx = ensureAudioContext();
+    const buffer = await ctx.decodeAudioData(await file.arrayBuffer());
+    STATE.sound.samples[slot] = { name: file.name, dataUrl: await readDataUrl(file), buffer };
+    const kept = saveSound();
+    syncSoundPanel();
+    playSound(slot);
+    toast(`${SOUND_SLOTS[slot]}: ${file.name}${kept ? "" : " • couldn't be stored, lasts this session"}`);
+  } catch (err) {
+    toast(`Sample failed (${file.name}): ${err.message || "could not decode"}`);
+  }
+}
+
+function setVolume(which, percent) {
+  const v = clamp(Number(percent) / 100, 0, 1);
+  if (which === "music") {
+    STATE.sound.musicVolume = v;
+    if (STATE.audio.gain) STATE.audio.gain.gain.value = v;
+  } else {
+    STATE.sound.hitVolume = v;
+  }
+  saveSound();
+  syncSoundPanel();
+}
+
+function syncSoundPanel() {
+  const snd = STATE.sound;
+  el.sndMusic.value = String(Math.round(snd.musicVolume * 100));
+  el.sndMusicLabel.textContent = `${Math.round(snd.musicVolume * 100)}%`;
+  el.sndHits.value = String(Math.round(snd.hitVolume * 100));
+  el.sndHitsLabel.textContent = `${Math.round(snd.hitVolume * 100)}%`;
+
+  el.sndList.innerHTML = "";
+  for (const [slot, label] of Object.entries(SOUND_SLOTS)) {
+    const name = document.createElement("span");
+    name.textContent = label;
+    const source = document.createElement("span");
+    source.className = "small";
+    source.textContent = snd.samples[slot] ? snd.samples[slot].name : "synthesized";
+
+    const test = document.createElement("button");
+    test.type = "button";
+    test.textContent = "▶";
+    test.title = "Play";
+    test.addEventListener("click", () => playSound(slot));
+    const load = document.createElement("button");
+    load.type = "button";
+    load.textContent = "Load…";
+    load.addEventListener("click", () => {
+      STATE.sound.loadSlot = slot;
+      el.fileSound.click();
+    });
+    const reset = document.createElement("button");
+    reset.type = "button";
+    reset.textContent = "Default";
+    reset.disabled = !snd.samples[slot];
+    reset.addEventListener("click", () => {
+      delete STATE.sound.samples[slot];
+      saveSound();
+      syncSoundPanel();
+    });
+    el.sndList.append(name, source, test, load, reset);
+  }
+}
+
+function openSoundPanel() {
+  if (STATE.running && !STATE.ended) {
+    toast("Sound can be set up between runs");
+    return;
+  }
+  if (STATE.editor.active) closeEditor();
+  closeSettingsPanels();
+  if (!el.resultsPanel.hidden || !el.failPanel.hidden) closeResults();
+  syncSoundPanel();
+  el.soundPanel.hidden = false;
+}
+
+function closeSoundPanel() {
+  el.soundPanel.hidden = true;
+}
+
+function bindSoundControls() {
+  STATE.sound = { ...STATE.sound, ...loadSavedSound() };
+  el.btnSound.addEventListener("click", () => (el.soundPanel.hidden ? openSoundPanel() : closeSoundPanel()));
+  el.sndClose.addEventListener("click", closeSoundPanel);
+  el.sndReset.addEventListener("click", () => {
+    STATE.sound.musicVolume = CONFIG.MUSIC_VOLUME;
+    STATE.sound.hitVolume = CONFIG.HITSOUND_VOLUME;
+    STATE.sound.samples = {};
+    saveSound();
+    syncSoundPanel();
+  });
+  el.sndMusic.addEventListener("input", () => setVolume("music", el.sndMusic.value));
+  el.sndHits.addEventListener("input", () => setVolume("hits", el.sndHits.value));
+  el.fileSound.addEventListener("change", () => {
+    const file = el.fileSound.files[0];
+    el.fileSound.value = "";
+    if (file && STATE.sound.loadSlot) loadSampleFile(STATE.sound.loadSlot, file);
+  });
 }
 
 // ---------------------- Input ----------------------
@@ -354,143 +904,366 @@ function canvasPointFromEvent(evt) {
   return { x, y };
 }
 
+// Live input is only fed to the engine (and recorded) during a run the player controls. Presses and
+// moves also wait out a pause (song time stands still, so circling would spin spinners for free);
+// releases still go through so a hold lifted during the pause ends
+function acceptsPlayerInput() {
+  return STATE.running && !STATE.ended && STATE.replay.mode !== "playing" && !STATE.auto;
+}
+
 canvas.addEventListener("mousemove", (e) => {
+  if (STATE.replay.mode === "playing" || STATE.auto) return; // cursor belongs to the replay / autoplay
   const p = canvasPointFromEvent(e);
   STATE.cursorX = p.x;
   STATE.cursorY = p.y;
+  if (STATE.editor.active) editorPointerMove(p.x, p.y);
+  else if (acceptsPlayerInput() && !STATE.paused) playerInput("move", p.x, p.y);
 });
 
 canvas.addEventListener("mousedown", (e) => {
   if (e.button !== 0) return;
-  if (!STATE.running) return;
-  if (STATE.paused || STATE.ended) return;
+  if (STATE.editor.active) {
+    const p = canvasPointFromEvent(e);
+    editorPointerDown(p.x, p.y, e.shiftKey);
+    syncEditorHitsound();
+    return;
+  }
+  if (!acceptsPlayerInput() || STATE.paused) return;
   const p = canvasPointFromEvent(e);
   STATE.cursorX = p.x;
   STATE.cursorY = p.y;
-  attemptHit(STATE.cursorX, STATE.cursorY);
+  playerInput("mouse", STATE.cursorX, STATE.cursorY);
 });
 
-canvas.addEventListener("touchstart", (e) => {
-  if (!STATE.running) return;
-  if (STATE.paused || STATE.ended) return;
-  const t = e.changedTouches[0];
+// Released anywhere: a slider hold ends even if the pointer left the canvas
+window.addEventListener("mouseup", (e) => {
+  if (e.button !== 0 || !acceptsPlayerInput()) return;
+  playerInput("mouseup", STATE.cursorX, STATE.cursorY);
+});
+
+/**
+ * Multi-touch: every changed touch is its own press, all stamped with the event's song time, so a
+ * chord tapped with several fingers lands in one event and each finger goes through the overlap rule.
+ * The newest finger still down drives the cursor (slider follow, spinners); the "touch" hold ends
+ * when the last finger lifts.
+ */
+function touchPoint(touch) {
   const rect = canvas.getBoundingClientRect();
-  const x = (t.clientX - rect.left);
-  const y = (t.clientY - rect.top);
-  STATE.cursorX = x;
-  STATE.cursorY = y;
-  attemptHit(x, y);
+  return { x: touch.clientX - rect.left, y: touch.clientY - rect.top };
+}
+
+// The newest tracked finger in a TouchList, or null
+function leadTouch(list) {
+  for (let i = STATE.touches.length - 1; i >= 0; i--) {
+    for (const touch of list) {
+      if (touch.identifier === STATE.touches[i]) return touch;
+    }
+  }
+  return null;
+}
+
+canvas.addEventListener("touchstart", (e) => {
+  if (!acceptsPlayerInput() || STATE.paused) return;
+  const t = getSongTimeMs();
+  for (const touch of e.changedTouches) {
+    const p = touchPoint(touch);
+    STATE.touches.push(touch.identifier);
+    STATE.cursorX = p.x;
+    STATE.cursorY = p.y;
+    playerInput("touch", p.x, p.y, t);
+  }
+  e.preventDefault();
+}, { passive: false });
+
+canvas.addEventListener("touchmove", (e) => {
+  if (!acceptsPlayerInput()) return;
   e.preventDefault();
+  const leadId = STATE.touches[STATE.touches.length - 1];
+  const lead = Array.from(e.changedTouches).find(touch => touch.identifier === leadId);
+  if (!lead) return;
+  const p = touchPoint(lead);
+  STATE.cursorX = p.x;
+  STATE.cursorY = p.y;
+  if (!STATE.paused) playerInput("move", p.x, p.y);
 }, { passive: false });
 
-// Global key (E) → click at cursor location
+function touchRelease(e) {
+  const before = STATE.touches.length;
+  const lifted = new Set(Array.from(e.changedTouches, touch => touch.identifier));
+  STATE.touches = STATE.touches.filter(id => !lifted.has(id));
+  if (!acceptsPlayerInput() || STATE.touches.length === before) return;
+  const t = getSongTimeMs();
+  if (STATE.touches.length === 0) {
+    const p = touchPoint(e.changedTouches[0]);
+    playerInput("touchend", p.x, p.y, t);
+    return;
+  }
+  // The cursor goes back to the newest finger still down
+  const lead = leadTouch(e.touches);
+  if (!lead) return;
+  const p = touchPoint(lead);
+  STATE.cursorX = p.x;
+  STATE.cursorY = p.y;
+  if (!STATE.paused) playerInput("move", p.x, p.y, t);
+}
+
+canvas.addEventListener("touchend", touchRelease);
+canvas.addEventListener("touchcancel", touchRelease);
+
+// Bound keys (see Key Bindings): two hit keys click at the cursor, plus pause and retry
 window.addEventListener("keydown", (e) => {
-  if (e.repeat) return;
-  if (e.code === CONFIG.KEY_HIT) {
-    if (!STATE.running) return;
-    if (STATE.paused || STATE.ended) return;
-    attemptHit(STATE.cursorX, STATE.cursorY);
+  if (STATE.keyListen) {
+    captureKeyBinding(e);
+    return;
+  }
+  if (isFormField(e.target)) return; // typing in a settings / editor field
+  if (STATE.calibration && HIT_KEY_KINDS[keyAction(e.code)]) {
     e.preventDefault();
+    if (!e.repeat) calibrationTap();
+    return;
   }
-
-  // Convenience: Space toggles pause
-  if (e.code === "Space") {
+  if (STATE.editor.active) {
+    handleEditorKey(e);
+    return;
+  }
+  const action = keyAction(e.code);
+  if (HIT_KEY_KINDS[action]) {
+    if (!acceptsPlayerInput() || STATE.paused) return;
+    e.preventDefault();
+    if (!e.repeat) playerInput(HIT_KEY_KINDS[action], STATE.cursorX, STATE.cursorY);
+  } else if (action === "pause") {
     if (!STATE.running || STATE.ended) return;
-    togglePause();
     e.preventDefault();
+    if (!e.repeat) togglePause();
+  } else if (action === "retry") {
+    if (!STATE.running) return;
+    e.preventDefault();
+    if (!e.repeat) restartGame();
+  } else if (action === "perf" || action === "bench") {
+    e.preventDefault();
+    if (e.repeat) return;
+    if (action === "perf") STATE.perf.overlay = !STATE.perf.overlay;
+    else runBenchmark();
   }
 });
 
-// ---------------------- Hit Resolution ----------------------
-function attemptHit(cx, cy) {
-  const t = getSongTimeMs();
-
-  // Candidate notes: pending, cursor inside, abs delta <= HIT_WINDOW
-  const candidates = [];
-  for (const n of STATE.noteStates) {
-    if (n.state !== "pending") continue;
+window.addEventListener("keyup", (e) => {
+  const action = keyAction(e.code);
+  if (!HIT_KEY_KINDS[action] || STATE.editor.active || !acceptsPlayerInput()) return;
+  playerInput(`${HIT_KEY_KINDS[action]}up`, STATE.cursorX, STATE.cursorY);
+});
 
-    const delta = t - n.tMs;
-    if (Math.abs(delta) > CONFIG.HIT_WINDOW_MS) continue;
+// ---------------------- Hit Resolution ----------------------
+// Live input from the player: stamped once so the recording and the judgment agree
+// (t is passed in when one event carries several inputs, e.g. a multi-touch chord)
+function playerInput(kind, cx, cy, t = getSongTimeMs()) {
+  recordInput(kind, cx, cy, t);
+  applyInput(kind, cx, cy, t);
+}
 
-    const inside = dist2(cx, cy, n.x, n.y) <= (n.r * n.r);
-    if (!inside) continue;
+const JUDGMENT_NAMES = { P: "Perfect", G: "Good", O: "Ok", M: "Miss" };
 
-    candidates.push({ n, absDelta: Math.abs(delta), delta, d2: dist2(cx, cy, n.x, n.y) });
+// Any input through the engine at song time t; presses get toast feedback
+function applyInput(kind, cx, cy, t) {
+  if (kind === "move" || kind in RELEASE_KINDS) {
+    STATE.pressHeld.delete(RELEASE_KINDS[kind]);
+    STATE.game.input(kind, cx, cy, t);
+    return;
   }
-
-  if (candidates.length === 0) {
+  countPress(kind);
+  const hit = STATE.game.press(kind, cx, cy, t);
+  if (!hit) {
     toast("No hittable bubble under cursor");
     // Optional: combo break on “empty click” — currently no, since your spec didn’t require it.
     return;
   }
+  const what = hit.note.kind === "slider" ? "Slider " : "";
+  toast(`${what}${JUDGMENT_NAMES[hit.judgment]} (${hit.deltaMs.toFixed(0)}ms)`);
+}
 
-  // Overlap selection:
-  // 1) choose smallest abs timing error (closest scheduled hit time)
-  // 2) tie-breaker: nearest center
-  candidates.sort((a, b) => {
-    if (a.absDelta !== b.absDelta) return a.absDelta - b.absDelta;
-    return a.d2 - b.d2;
-  });
+// ---------------------- Skins ----------------------
+/**
+ * Skins (skin.js) restyle bubbles, approach rings, the cursor and its trail, the background and the
+ * judgment popups. The Skin panel picks a built-in skin or loads a skin .json together with the
+ * images it names; loaded skins are kept in localStorage with their images inlined as data: URLs.
+ */
+const SKIN_STORAGE_KEY = "bubble-rhythm.skin";
+
+// Decoded image for a skin reference, or null while it loads / if it failed (drawing falls back to shapes)
+function skinImage(ref) {
+  if (!ref) return null;
+  let img = STATE.skinImages.get(ref);
+  if (!img) {
+    img = new Image();
+    img.src = ref;
+    STATE.skinImages.set(ref, img);
+  }
+  return img.complete && img.naturalWidth > 0 ? img : null;
+}
 
-  const pick = candidates[0].n;
-  const delta = t - pick.tMs;
+function allSkins() {
+  return [...BUILTIN_SKINS, ...STATE.customSkins];
+}
+
+function isCustomSkin(id) {
+  return id.startsWith("custom:");
+}
 
-  const j = judge(delta);
-  applyJudgment(pick, t, delta, j);
+function applySkin(id) {
+  const entry = allSkins().find(s => s.id === id) || BUILTIN_SKINS[0];
+  STATE.skinId = entry.id;
+  STATE.skin = entry.skin;
+  STATE.skinImages.clear();
+  STATE.cursorTrail = [];
+  for (const ref of skinImageRefs(entry.skin)) skinImage(ref); // start decoding before they're drawn
 }
 
-function judge(deltaMs) {
-  const a = Math.abs(deltaMs);
-  if (a <= CONFIG.PERFECT_MS) return "P";
-  if (a <= CONFIG.GOOD_MS) return "G";
-  if (a <= CONFIG.OK_MS) return "O";
-  // within HIT_WINDOW but beyond OK threshold is still a hit, but lowest tier
-  return "O";
+function loadSavedSkins() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SKIN_STORAGE_KEY) || "{}");
+    const custom = [];
+    for (const obj of Array.isArray(saved.custom) ? saved.custom : []) {
+      try {
+        const skin = parseSkinObject(obj);
+        custom.push({ id: `custom:${skin.name}`, skin });
+      } catch (err) {
+        // a skin this version can't read is dropped
+      }
+    }
+    return { selected: typeof saved.selected === "string" ? saved.selected : "default", custom };
+  } catch (err) {
+    return { selected: "default", custom: [] };
+  }
 }
 
-function applyJudgment(note, judgedAtMs, deltaMs, judgment) {
-  note.state = "hit";
-  note.judgedAtMs = judgedAtMs;
-  note.deltaMs = deltaMs;
-  note.judgment = judgment;
+// Returns false when storage is unavailable or full (large images): the skins last for this session only
+function saveSkins() {
+  try {
+    localStorage.setItem(SKIN_STORAGE_KEY, JSON.stringify({
+      selected: STATE.skinId,
+      custom: STATE.customSkins.map(s => s.skin),
+    }));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
 
-  STATE.totalJudged += 1;
-  STATE.totalHit += 1;
+function readDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(`can't read ${file.name}`));
+    reader.readAsDataURL(file);
+  });
+}
 
-  // Combo
-  STATE.combo += 1;
-  STATE.maxCombo = Math.max(STATE.maxCombo, STATE.combo);
+// A skin .json plus the image files it names, selected together; file names match case-insensitively
+async function importSkinFiles(files) {
+  const list = Array.from(files);
+  try {
+    const jsonFile = list.find(f => /\.json$/i.test(f.name) || f.type === "application/json");
+    if (!jsonFile) throw new Error("no skin .json among the selected files");
+    const skin = parseSkinObject(parseJsonText(await jsonFile.text()));
+    const byName = new Map(list.map(f => [f.name.toLowerCase(), f]));
+    const inlined = new Map();
+    for (const ref of skinImageRefs(skin)) {
+      if (isImageUrl(ref)) continue;
+      const file = byName.get(ref.split("/").pop().toLowerCase());
+      if (!file) throw new Error(`image "${ref}" wasn't selected with the skin`);
+      inlined.set(ref, await readDataUrl(file));
+    }
+    const entry = { id: `custom:${skin.name}`, skin: mapSkinImages(skin, ref => inlined.get(ref) || ref) };
+    STATE.customSkins = STATE.customSkins.filter(s => s.id !== entry.id).concat(entry);
+    applySkin(entry.id);
+    const kept = saveSkins();
+    syncSkinPanel();
+    toast(`Skin "${skin.name}" loaded${kept ? "" : " • couldn't be stored, lasts this session"}`);
+  } catch (err) {
+    toast(`Skin load failed: ${err.message}`);
+  }
+}
 
-  let base = 0;
-  if (judgment === "P") { STATE.p += 1; base = CONFIG.SCORE_PERFECT; toast(`Perfect (${deltaMs.toFixed(0)}ms)`); }
-  else if (judgment === "G") { STATE.g += 1; base = CONFIG.SCORE_GOOD; toast(`Good (${deltaMs.toFixed(0)}ms)`); }
-  else { STATE.o += 1; base = CONFIG.SCORE_OK; toast(`Ok (${deltaMs.toFixed(0)}ms)`); }
+function removeSkin(id) {
+  if (!isCustomSkin(id)) return;
+  STATE.customSkins = STATE.customSkins.filter(s => s.id !== id);
+  applySkin("default");
+  saveSkins();
+  syncSkinPanel();
+}
 
-  // Soft combo multiplier (keeps it simple but rewarding)
-  const mult = 1 + (STATE.combo - 1) * CONFIG.COMBO_BONUS;
-  STATE.score += base * mult;
+function syncSkinPanel() {
+  el.skinSelect.innerHTML = "";
+  for (const { id, skin } of allSkins()) {
+    const opt = document.createElement("option");
+    opt.value = id;
+    opt.textContent = isCustomSkin(id) ? `${skin.name} (loaded)` : skin.name;
+    el.skinSelect.append(opt);
+  }
+  el.skinSelect.value = STATE.skinId;
+  el.skinRemove.disabled = !isCustomSkin(STATE.skinId);
+
+  const skin = STATE.skin;
+  const images = skinImageRefs(skin).length;
+  el.skinInfo.textContent = [
+    skin.author && `by ${skin.author}`,
+    images > 0 && `${images} image${images === 1 ? "" : "s"}`,
+    skin.cursor.trail.length > 0 && "cursor trail",
+  ].filter(Boolean).join(" • ");
+
+  // Judgment colours with their popup labels
+  el.skinSwatches.innerHTML = "";
+  for (const j of ["P", "G", "O", "M"]) {
+    const swatch = document.createElement("span");
+    swatch.textContent = skin.popups.labels[j] || j;
+    swatch.title = JUDGMENT_NAMES[j];
+    swatch.style.borderColor = skin.judgments[j];
+    swatch.style.color = skin.judgments[j];
+    el.skinSwatches.append(swatch);
+  }
 }
 
-// ---------------------- Miss Processing ----------------------
-function processAutoMisses(currentMs) {
-  for (const n of STATE.noteStates) {
-    if (n.state !== "pending") continue;
+function openSkinPanel() {
+  if (STATE.running && !STATE.ended) {
+    toast("Skins can be changed between runs");
+    return;
+  }
+  if (STATE.editor.active) closeEditor();
+  closeSettingsPanels();
+  if (!el.resultsPanel.hidden || !el.failPanel.hidden) closeResults();
+  syncSkinPanel();
+  el.skinPanel.hidden = false;
+}
 
-    // If time passed beyond allowed window => miss
-    if (currentMs > n.tMs + CONFIG.HIT_WINDOW_MS) {
-      n.state = "miss";
-      n.judgedAtMs = currentMs;
-      n.deltaMs = currentMs - n.tMs;
-      n.judgment = "M";
+function closeSkinPanel() {
+  el.skinPanel.hidden = true;
+}
 
-      STATE.totalJudged += 1;
-      STATE.m += 1;
+function bindSkinControls() {
+  const saved = loadSavedSkins();
+  STATE.customSkins = saved.custom;
+  applySkin(saved.selected);
+  el.btnSkin.addEventListener("click", () => (el.skinPanel.hidden ? openSkinPanel() : closeSkinPanel()));
+  el.skinClose.addEventListener("click", closeSkinPanel);
+  el.skinSelect.addEventListener("change", () => {
+    applySkin(el.skinSelect.value);
+    saveSkins();
+    syncSkinPanel();
+  });
+  el.skinImport.addEventListener("click", () => el.fileSkin.click());
+  el.fileSkin.addEventListener("change", () => {
+    const files = Array.from(el.fileSkin.files);
+    el.fileSkin.value = ""; // allow re-selecting the same files
+    if (files.length) importSkinFiles(files);
+  });
+  el.skinRemove.addEventListener("click", () => removeSkin(STATE.skinId));
+}
 
-      // combo break
-      STATE.combo = 0;
-    }
-  }
+// Image scaled so its larger side spans `size`, centred on (x, y)
+function drawSkinImage(img, x, y, size) {
+  const scale = size / Math.max(img.naturalWidth, img.naturalHeight);
+  const w = img.naturalWidth * scale, h = img.naturalHeight * scale;
+  ctx.drawImage(img, x - w / 2, y - h / 2, w, h);
 }
 
 // ---------------------- Rendering ----------------------
@@ -498,183 +1271,575 @@ function clear() {
   ctx.clearRect(0, 0, cssW, cssH);
 }
 
+// Skin colour / image (cover-fit, dimmed), then the subtle vignette and grid
 function drawBackground() {
-  // subtle grid / vignette
+  const bg = STATE.skin.background;
   ctx.save();
   ctx.globalAlpha = 1;
 
-  // vignette
-  const g = ctx.createRadialGradient(cssW * 0.5, cssH * 0.45, 50, cssW * 0.5, cssH * 0.5, Math.max(cssW, cssH) * 0.7);
-  g.addColorStop(0, "rgba(0,0,0,0)");
-  g.addColorStop(1, "rgba(0,0,0,0.35)");
-  ctx.fillStyle = g;
-  ctx.fillRect(0, 0, cssW, cssH);
-
-  // grid
-  ctx.globalAlpha = 0.12;
-  ctx.strokeStyle = "rgba(255,255,255,0.20)";
-  ctx.lineWidth = 1;
+  if (bg.color) {
+    ctx.fillStyle = bg.color;
+    ctx.fillRect(0, 0, cssW, cssH);
+  }
+  const img = skinImage(bg.image);
+  if (img) {
+    const scale = Math.max(cssW / img.naturalWidth, cssH / img.naturalHeight);
+    const w = img.naturalWidth * scale, h = img.naturalHeight * scale;
+    ctx.drawImage(img, (cssW - w) / 2, (cssH - h) / 2, w, h);
+    ctx.fillStyle = `rgba(0,0,0,${bg.dim})`;
+    ctx.fillRect(0, 0, cssW, cssH);
+  }
 
-  const step = Math.max(40, Math.floor(Math.min(cssW, cssH) / 14));
-  for (let x = 0; x <= cssW; x += step) {
-    ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, cssH); ctx.stroke();
+  if (bg.vignette) {
+    const g = ctx.createRadialGradient(cssW * 0.5, cssH * 0.45, 50, cssW * 0.5, cssH * 0.5, Math.max(cssW, cssH) * 0.7);
+    g.addColorStop(0, "rgba(0,0,0,0)");
+    g.addColorStop(1, "rgba(0,0,0,0.35)");
+    ctx.fillStyle = g;
+    ctx.fillRect(0, 0, cssW, cssH);
   }
-  for (let y = 0; y <= cssH; y += step) {
-    ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(cssW, y); ctx.stroke();
+
+  if (bg.grid) {
+    ctx.globalAlpha = 0.12;
+    ctx.strokeStyle = bg.gridColor;
+    ctx.lineWidth = 1;
+
+    const step = Math.max(40, Math.floor(Math.min(cssW, cssH) / 14));
+    for (let x = 0; x <= cssW; x += step) {
+      ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, cssH); ctx.stroke();
+    }
+    for (let y = 0; y <= cssH; y += step) {
+      ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(cssW, y); ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
   }
 
+  drawLetterbox();
   ctx.restore();
 }
 
+// Shade the canvas outside the playfield frame (left/right bars on wide screens, top/bottom on tall ones)
+function drawLetterbox() {
+  const f = playfieldFrame();
+  ctx.fillStyle = "rgba(0,0,0,0.28)";
+  if (f.left >= 1) {
+    ctx.fillRect(0, 0, f.left, cssH);
+    ctx.fillRect(f.left + f.width, 0, cssW - f.left - f.width, cssH);
+  }
+  if (f.top >= 1) {
+    ctx.fillRect(0, 0, cssW, f.top);
+    ctx.fillRect(0, f.top + f.height, cssW, cssH - f.top - f.height);
+  }
+}
+
 function drawCursor() {
+  if (STATE.replay.mode === "playing") {
+    drawReplayCursor(`REPLAY ${fmtRate(STATE.rate)}`);
+    return;
+  }
+  if (STATE.auto) {
+    drawReplayCursor("AUTO");
+    return;
+  }
+  const cursor = STATE.skin.cursor;
+  drawCursorTrail(cursor.trail);
   ctx.save();
   ctx.globalAlpha = 0.9;
-  ctx.lineWidth = 2;
-  ctx.strokeStyle = "rgba(120,170,255,0.95)";
-  ctx.beginPath();
-  ctx.arc(STATE.cursorX, STATE.cursorY, 6, 0, Math.PI * 2);
-  ctx.stroke();
+  const img = skinImage(cursor.image);
+  if (img) {
+    drawSkinImage(img, STATE.cursorX, STATE.cursorY, cursor.size * 4);
+  } else {
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = cursor.color;
+    ctx.beginPath();
+    ctx.arc(STATE.cursorX, STATE.cursorY, cursor.size, 0, Math.PI * 2);
+    ctx.stroke();
+  }
   ctx.restore();
 }
 
-function drawNote(n, currentMs) {
-  const appearAt = n.tMs - CONFIG.PREEMPT_MS;
-  const vanishAt = n.tMs + CONFIG.HIT_WINDOW_MS + CONFIG.AFTER_MS;
-
-  if (currentMs < appearAt) return;
-  if (currentMs > vanishAt) return;
-
-  // Determine alpha and approach progress
-  let alpha = 1.0;
-
-  if (n.state === "hit" || n.state === "miss") {
-    const dt = currentMs - n.judgedAtMs;
-    alpha = clamp(1 - dt / CONFIG.AFTER_MS, 0, 1);
-  } else {
-    // fade in during preempt
-    const preT = clamp((currentMs - appearAt) / CONFIG.PREEMPT_MS, 0, 1);
-    alpha = clamp(preT, 0.15, 1);
+// Skin trail: the cursor's last `length` frames, fading out towards the oldest
+function drawCursorTrail(trail) {
+  const pts = STATE.cursorTrail;
+  if (trail.length === 0) {
+    pts.length = 0;
+    return;
   }
+  pts.push({ x: STATE.cursorX, y: STATE.cursorY });
+  while (pts.length > trail.length + 1) pts.shift();
 
-  // Approach ring: only while pending and before hit time
-  if (n.state === "pending") {
-    const until = n.tMs - currentMs; // ms remaining
-    if (until >= 0 && until <= CONFIG.PREEMPT_MS) {
-      const t = clamp(1 - (until / CONFIG.PREEMPT_MS), 0, 1); // 0..1 towards hit
-      const approachR = lerp(n.r * CONFIG.APPROACH_RING_SCALE, n.r, t);
-
-      ctx.save();
-      ctx.globalAlpha = alpha * 0.65;
-      ctx.lineWidth = 3;
-      ctx.strokeStyle = "rgba(120,170,255,0.85)";
-      ctx.beginPath();
-      ctx.arc(n.x, n.y, approachR, 0, Math.PI * 2);
-      ctx.stroke();
-      ctx.restore();
-    }
+  ctx.save();
+  ctx.lineCap = "round";
+  ctx.strokeStyle = trail.color;
+  for (let i = 1; i < pts.length; i++) {
+    const k = i / (pts.length - 1);
+    ctx.globalAlpha = k;
+    ctx.lineWidth = trail.width * k;
+    ctx.beginPath();
+    ctx.moveTo(pts[i - 1].x, pts[i - 1].y);
+    ctx.lineTo(pts[i].x, pts[i].y);
+    ctx.stroke();
   }
+  ctx.restore();
+}
 
-  // Bubble base
+// Slider track: body along the path, tail, upcoming ticks and the next repeat point
+function drawSliderBody(n, currentMs, alpha) {
+  const pts = n.path.pts;
   ctx.save();
-  ctx.globalAlpha = alpha;
-  ctx.fillStyle = "rgba(255,255,255,0.10)";
-  ctx.strokeStyle = "rgba(255,255,255,0.55)";
-  ctx.lineWidth = 2;
-
-  // If judged, color hint
-  if (n.state === "hit") {
-    if (n.judgment === "P") ctx.strokeStyle = "rgba(160,255,190,0.95)";
-    else if (n.judgment === "G") ctx.strokeStyle = "rgba(160,255,190,0.80)";
-    else ctx.strokeStyle = "rgba(255,220,140,0.85)";
-  } else if (n.state === "miss") {
-    ctx.strokeStyle = "rgba(255,120,120,0.90)";
-  }
+  ctx.globalAlpha = alpha * 0.55;
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
 
   ctx.beginPath();
-  ctx.arc(n.x, n.y, n.r, 0, Math.PI * 2);
-  ctx.fill();
+  ctx.moveTo(pts[0].x, pts[0].y);
+  for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+  ctx.strokeStyle = STATE.skin.bubble.stroke;
+  ctx.lineWidth = n.r * 2;
+  ctx.stroke();
+  ctx.strokeStyle = "rgba(20,24,40,0.85)";
+  ctx.lineWidth = n.r * 2 - 2 * STATE.skin.bubble.strokeWidth;
   ctx.stroke();
 
-  // Inner dot (helps aiming)
-  ctx.globalAlpha = alpha * 0.85;
-  ctx.fillStyle = "rgba(255,255,255,0.55)";
+  // Tail
+  const tail = pts[pts.length - 1];
+  ctx.globalAlpha = alpha * 0.8;
+  ctx.strokeStyle = STATE.skin.bubble.stroke;
+  ctx.lineWidth = STATE.skin.bubble.strokeWidth;
   ctx.beginPath();
-  ctx.arc(n.x, n.y, Math.max(3, n.r * 0.10), 0, Math.PI * 2);
-  ctx.fill();
+  ctx.arc(tail.x, tail.y, n.r, 0, Math.PI * 2);
+  ctx.stroke();
 
-  ctx.restore();
+  // Ticks still to come
+  ctx.fillStyle = "rgba(255,255,255,0.75)";
+  for (let i = n.tickIndex; i < n.ticks.length; i++) {
+    const p = sliderPositionAt(n, n.ticks[i]);
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, Math.max(2, n.r * 0.12), 0, Math.PI * 2);
+    ctx.fill();
+  }
 
-  // Timing hint: small text during judgement fade
-  if (n.state !== "pending" && alpha > 0.1) {
-    ctx.save();
-    ctx.globalAlpha = alpha;
-    ctx.font = "12px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace";
+  // Repeat: mark where the ball turns around next
+  const spanMs = (n.endMs - n.tMs) / n.slides;
+  const span = Math.floor((Math.max(currentMs, n.tMs) - n.tMs) / spanMs);
+  if (span < n.slides - 1) {
+    const turn = sliderPositionAt(n, n.tMs + (span + 1) * spanMs);
+    ctx.font = `${Math.round(n.r)}px system-ui, sans-serif`;
     ctx.textAlign = "center";
     ctx.textBaseline = "middle";
-    let label = n.judgment === "M" ? "MISS" : n.judgment;
-    ctx.fillStyle = "rgba(255,255,255,0.70)";
-    ctx.fillText(label, n.x, n.y);
-    ctx.restore();
+    ctx.fillText("↺", turn.x, turn.y);
   }
+  ctx.restore();
+}
+
+// Follow ball; the ring around it shows the area the cursor must stay in
+function drawSliderBall(n, currentMs, alpha) {
+  const p = sliderPositionAt(n, currentMs);
+  const tracking = STATE.game.isTracking(n, currentMs);
+  ctx.save();
+  ctx.globalAlpha = alpha * 0.65;
+  ctx.fillStyle = STATE.skin.accent;
+  ctx.beginPath();
+  ctx.arc(p.x, p.y, n.r * 0.8, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.globalAlpha = alpha;
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = tracking ? STATE.skin.judgments.P : "rgba(255,255,255,0.25)";
+  ctx.beginPath();
+  ctx.arc(p.x, p.y, n.r * (tracking ? CONFIG.SLIDER_FOLLOW_SCALE : 1.1), 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.restore();
+}
+
+// Spinner: shrinking ring for the time left, progress arc for rotations, RPM and spin count
+function drawSpinner(n, currentMs) {
+  const timing = STATE.game.timing;
+  if (currentMs < n.tMs - timing.PREEMPT_MS || currentMs > n.endMs + timing.AFTER_MS) return;
+
+  let alpha = clamp((currentMs - (n.tMs - timing.PREEMPT_MS)) / timing.PREEMPT_MS, 0.15, 1);
+  if (n.state === "hit" || n.state === "miss") alpha = clamp(1 - (currentMs - n.judgedAtMs) / timing.AFTER_MS, 0, 1);
+  const left = clamp((n.endMs - currentMs) / (n.endMs - n.tMs), 0, 1);
+  const rotations = spinnerRotations(n);
+  const progress = clamp(rotations / n.required, 0, 1);
+
+  ctx.save();
+  ctx.globalAlpha = alpha;
+
+  ctx.fillStyle = "rgba(255,255,255,0.06)";
+  ctx.strokeStyle = "rgba(255,255,255,0.35)";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.arc(n.x, n.y, n.spinR, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+
+  // Time left
+  ctx.strokeStyle = STATE.skin.accent;
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.arc(n.x, n.y, Math.max(n.r, n.spinR * left), 0, Math.PI * 2);
+  ctx.stroke();
+
+  // Rotations towards the requirement, turning with the cursor
+  ctx.strokeStyle = progress >= 1 ? STATE.skin.judgments.P : STATE.skin.judgments.O;
+  ctx.lineWidth = 8;
+  ctx.beginPath();
+  ctx.arc(n.x, n.y, n.spinR + 10, n.spinAngle - Math.PI / 2, n.spinAngle - Math.PI / 2 + progress * Math.PI * 2);
+  ctx.stroke();
+
+  ctx.font = "14px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = "rgba(255,255,255,0.85)";
+  if (n.state === "pending" || n.state === "active") {
+    ctx.fillText("SPIN!", n.x, n.y - n.r * 1.6);
+    ctx.fillText(`${Math.floor(rotations)} / ${n.required}`, n.x, n.y);
+    ctx.fillText(`${Math.round(spinnerRpm(n, currentMs, CONFIG))} RPM`, n.x, n.y + n.r * 1.6);
+  } else {
+    ctx.fillText(STATE.skin.popups.labels[n.judgment], n.x, n.y);
+  }
+  if (n.bonusSpins > 0) {
+    ctx.fillStyle = STATE.skin.judgments.P;
+    ctx.fillText(`+${n.bonusSpins * CONFIG.SCORE_SPINNER_BONUS}`, n.x, n.y + n.r * 3);
+  }
+  ctx.restore();
+}
+
+// Hidden mod: fade in over the first 40% of the approach, then out until goneAt
+function hiddenAlpha(appearAt, currentMs, goneAt) {
+  const fadeInEnd = appearAt + STATE.game.timing.PREEMPT_MS * 0.4;
+  if (currentMs < fadeInEnd) return clamp((currentMs - appearAt) / (fadeInEnd - appearAt), 0, 1);
+  return clamp(1 - (currentMs - fadeInEnd) / Math.max(1, goneAt - fadeInEnd), 0, 1);
+}
+
+function drawNote(n, currentMs) {
+  if (n.state === "skipped") return;
+  if (n.kind === "spinner") {
+    drawSpinner(n, currentMs);
+    return;
+  }
+
+  const appearAt = n.tMs - STATE.game.timing.PREEMPT_MS;
+  const vanishAt = n.endMs + STATE.game.timing.HIT_WINDOW_MS + STATE.game.timing.AFTER_MS;
+
+  if (currentMs < appearAt) return;
+  if (currentMs > vanishAt) return;
+
+  // Determine alpha and approach progress
+  let alpha = 1.0;
+  let bodyAlpha = 1.0; // slider body
+  const hidden = STATE.game.mods.includes("HD");
+
+  if (n.state === "hit" || n.state === "miss") {
+    const dt = currentMs - n.judgedAtMs;
+    alpha = clamp(1 - dt / STATE.game.timing.AFTER_MS, 0, 1);
+    bodyAlpha = alpha;
+  } else if (hidden) {
+    alpha = hiddenAlpha(appearAt, currentMs, appearAt + STATE.game.timing.PREEMPT_MS * 0.7);
+    bodyAlpha = hiddenAlpha(appearAt, currentMs, n.endMs);
+  } else {
+    // fade in during preempt
+    const preT = clamp((currentMs - appearAt) / STATE.game.timing.PREEMPT_MS, 0, 1);
+    alpha = clamp(preT, 0.15, 1);
+    bodyAlpha = alpha;
+  }
+
+  // Sliders: the bubble is the head until it's judged, then the follow ball / end of the path
+  let x = n.x, y = n.y;
+  if (n.kind === "slider") {
+    drawSliderBody(n, currentMs, bodyAlpha);
+    if (n.state === "active") {
+      drawSliderBall(n, currentMs, 1);
+      return;
+    }
+    if (n.state !== "pending") ({ x, y } = sliderPositionAt(n, n.endMs));
+  }
+
+  // Approach ring: only while pending and before hit time (never with Hidden);
+  // the visual offset runs it ahead of song time to make up for display lag
+  if (n.state === "pending" && !hidden) {
+    const ringMs = STATE.editor.active ? currentMs : currentMs + STATE.offsets.visualMs;
+    const until = n.tMs - ringMs; // ms remaining
+    if (until >= 0 && until <= STATE.game.timing.PREEMPT_MS) {
+      const t = clamp(1 - (until / STATE.game.timing.PREEMPT_MS), 0, 1); // 0..1 towards hit
+      const approachR = lerp(n.r * CONFIG.APPROACH_RING_SCALE, n.r, t);
+
+      const approach = STATE.skin.approach;
+      const img = skinImage(approach.image);
+      ctx.save();
+      ctx.globalAlpha = alpha * approach.alpha;
+      if (img) {
+        drawSkinImage(img, x, y, approachR * 2);
+      } else {
+        ctx.lineWidth = approach.width;
+        ctx.strokeStyle = approach.color;
+        ctx.setLineDash(approach.dash);
+        ctx.beginPath();
+        ctx.arc(x, y, approachR, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+      ctx.restore();
+    }
+  }
+
+  // Bubble base: the skin's image, or a filled circle; once judged the outline takes the judgment colour
+  const bubble = STATE.skin.bubble;
+  const judged = n.state === "hit" || n.state === "miss";
+  ctx.save();
+  ctx.globalAlpha = alpha;
+  ctx.lineWidth = bubble.strokeWidth;
+  ctx.strokeStyle = judged ? STATE.skin.judgments[n.judgment] : bubble.stroke;
+
+  const img = skinImage(bubble.image);
+  if (img) {
+    drawSkinImage(img, x, y, n.r * 2);
+    if (judged) {
+      ctx.beginPath();
+      ctx.arc(x, y, n.r, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  } else {
+    ctx.fillStyle = bubble.fill;
+    ctx.beginPath();
+    ctx.arc(x, y, n.r, 0, Math.PI * 2);
+    ctx.fill();
+    if (bubble.strokeWidth > 0) ctx.stroke();
+  }
+
+  // Inner dot (helps aiming)
+  if (bubble.dot) {
+    ctx.globalAlpha = alpha * 0.85;
+    ctx.fillStyle = bubble.dot;
+    ctx.beginPath();
+    ctx.arc(x, y, Math.max(3, n.r * 0.10), 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  ctx.restore();
+
+  // Judgment popup during the fade: the skin's sprite, else its label
+  if (judged && alpha > 0.1) drawJudgmentPopup(n.judgment, x, y, n.r, alpha);
+}
+
+function drawJudgmentPopup(judgment, x, y, r, alpha) {
+  const popups = STATE.skin.popups;
+  ctx.save();
+  ctx.globalAlpha = alpha;
+  const img = skinImage(popups.images[judgment]);
+  if (img) {
+    drawSkinImage(img, x, y, r * 1.6);
+  } else {
+    ctx.font = `${popups.size}px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = popups.color;
+    ctx.fillText(popups.labels[judgment], x, y);
+  }
+  ctx.restore();
 }
 
 function render(currentMs) {
   clear();
   drawBackground();
 
-  // Draw notes (pending and fading)
-  for (const n of STATE.noteStates) {
+  // Draw notes (pending and fading): only the ones inside the on-screen time window
+  const timing = STATE.game.timing;
+  const onScreen = STATE.game.notesBetween(currentMs - timing.HIT_WINDOW_MS - timing.AFTER_MS, currentMs + timing.PREEMPT_MS);
+  for (const n of onScreen) {
     drawNote(n, currentMs);
   }
+  STATE.perf.drawn = onScreen.length;
 
+  drawKeyOverlay();
   drawCursor();
 }
 
 // ---------------------- Main Loop ----------------------
 function tick() {
-  const t = getSongTimeMs();
+  const frameStart = nowMs();
+  pollGamepads();
+  const t = STATE.editor.active ? STATE.editor.timeMs : getSongTimeMs();
 
   if (STATE.running && !STATE.paused && !STATE.ended) {
-    processAutoMisses(t);
-
-    // End condition: all notes judged and time past last note + after
-    const last = STATE.noteStates[STATE.noteStates.length - 1];
-    const endAt = last.tMs + CONFIG.HIT_WINDOW_MS + CONFIG.AFTER_MS + 200;
-    if (t > endAt && countNotesLeft() === 0) {
-      STATE.ended = true;
-      el.btnPause.disabled = true;
-      toast(`Finished • Max combo ${STATE.maxCombo} • Acc ${fmtPct(computeAccuracy())}`);
-      showPrompt(true);
+    if (STATE.replay.mode === "playing") feedReplay(t);
+    if (STATE.auto) feedAutoplay(t);
+    STATE.game.processAutoMisses(t);
+
+    if (STATE.game.isFailed()) {
+      showFailed();
+    } else if (STATE.game.isFinished(t)) {
+      if (STATE.auto && STATE.auto.mode === "attract") {
+        // Demo loop: back to Ready, next demo after another idle period
+        resetGameState();
+        STATE.idleSinceMs = nowMs();
+      } else if (STATE.practiceRun) {
+        finishPractice();
+      } else {
+        STATE.ended = true;
+        el.btnPause.disabled = true;
+        const note = STATE.auto ? autoplayReport() : finishReplaySession();
+        toast(`Finished • Max combo ${STATE.game.stats.maxCombo} • Acc ${fmtPct(STATE.game.accuracy())}${note}`);
+        showResults();
+      }
     }
+  } else if (!STATE.running && !STATE.editor.active && !anyPanelOpen() &&
+    nowMs() - STATE.idleSinceMs > CONFIG.ATTRACT_IDLE_MS) {
+    startGame(0, null, "attract");
   }
 
+  if (STATE.calibration) updateCalibration();
+
   render(t);
+  if (STATE.editor.active) drawEditorOverlay(t);
   updateHud(t);
   updateToast();
+  notePerfFrame(frameStart);
+  if (STATE.perf.overlay) drawPerfOverlay();
 
   requestAnimationFrame(tick);
 }
 
+// ---------------------- Performance ----------------------
+/**
+ * FPS overlay (perf key, F2): frames per second, the time one frame's update + draw takes, and how
+ * many notes the scheduler actually touched. The benchmark key (F4) plays the middle of generated
+ * marathon charts headlessly and reports the per-frame time for each length — it should stay flat.
+ */
+const PERF_SAMPLES = 60;
+const BENCH_SIZES = [1000, 10000, 50000];
+const BENCH_FRAMES = 240;
+const BENCH_FRAME_MS = 1000 / 60;
+
+function notePerfFrame(frameStart) {
+  const perf = STATE.perf;
+  perf.frames.push(frameStart);
+  while (perf.frames[0] < frameStart - 1000) perf.frames.shift();
+  perf.workMs.push(nowMs() - frameStart);
+  if (perf.workMs.length > PERF_SAMPLES) perf.workMs.shift();
+}
+
+function fmtCount(n) { return n >= 1000 ? `${n / 1000}k` : String(n); }
+
+function drawPerfOverlay() {
+  const perf = STATE.perf;
+  const work = perf.workMs;
+  const avg = work.reduce((a, b) => a + b, 0) / Math.max(1, work.length);
+  const lines = [
+    `FPS ${perf.frames.length} • frame ${avg.toFixed(2)}ms (max ${Math.max(0, ...work).toFixed(2)})`,
+    `on screen ${perf.drawn} • left ${STATE.game.notesLeft()} / ${STATE.game.notes.length}`,
+  ];
+  if (perf.bench) {
+    lines.push("bench " + perf.bench.map(r => `${fmtCount(r.notes)} ${r.avgMs.toFixed(2)}ms`).join(" • "));
+  }
+
+  ctx.save();
+  ctx.font = "11px ui-monospace, monospace";
+  const w = Math.max(...lines.map(l => ctx.measureText(l).width)) + 16;
+  const x = cssW - w - 10;
+  ctx.fillStyle = "rgba(0,0,0,0.45)";
+  ctx.fillRect(x, 10, w, lines.length * 15 + 8);
+  ctx.fillStyle = "rgba(255,255,255,0.85)";
+  ctx.textBaseline = "top";
+  lines.forEach((line, i) => ctx.fillText(line, x + 8, 14 + i * 15));
+  ctx.restore();
+}
+
+// Marathon chart of `count` notes from the pattern DSL (half-beat wave at 180 BPM)
+function benchChart(count) {
+  return buildChart({ title: `Benchmark ${fmtCount(count)}`, bpm: 180, patterns: [{ type: "wave", beat: 0, count, spacing: 0.5 }] });
+}
+
+// Autoplays BENCH_FRAMES frames from the middle of each benchmark chart through the real update + draw
+function runBenchmark() {
+  if (STATE.running && !STATE.ended) {
+    toast("Benchmark runs between runs");
+    return;
+  }
+  const saved = STATE.game;
+  const results = [];
+  try {
+    for (const count of BENCH_SIZES) {
+      const chart = benchChart(count);
+      const midMs = chart.notes[count >> 1].tMs;
+      STATE.game = createGame(chart, { config: CONFIG, layout: playfieldLayout(), fromMs: midMs });
+      const player = createAutoplay(STATE.game);
+      let total = 0;
+      let worst = 0;
+      for (let i = 0; i < BENCH_FRAMES; i++) {
+        const t = midMs + i * BENCH_FRAME_MS;
+        const start = nowMs();
+        player.feed(t);
+        STATE.game.processAutoMisses(t);
+        render(t);
+        const ms = nowMs() - start;
+        total += ms;
+        worst = Math.max(worst, ms);
+      }
+      results.push({ notes: count, avgMs: total / BENCH_FRAMES, maxMs: worst });
+    }
+  } finally {
+    STATE.game = saved;
+  }
+  STATE.perf.bench = results;
+  STATE.perf.overlay = true;
+  toast(`Benchmark • ${results.map(r => `${fmtCount(r.notes)} notes ${r.avgMs.toFixed(2)}ms/frame`).join(" • ")}`);
+}
+
 // ---------------------- Controls ----------------------
-function startGame() {
+// fromMs > 0 starts mid-chart (editor "test from here"); earlier notes are skipped.
+// With a replay, its recorded inputs drive the run instead of the player; with auto
+// ("auto" | "attract") autoplay does (attract: silent demo behind the Ready prompt).
+// practice ({ fromMs, toMs, speed, loop }) plays an unrecorded range at a slower speed.
+function startGame(fromMs = 0, replay = null, auto = null, practice = null) {
+  if (STATE.editor.active) closeEditor();
+  if (STATE.beatmap.notes.length === 0) {
+    toast("Chart has no notes");
+    return;
+  }
+  closeSettingsPanels();
   resetGameState();
+  rebuildRuntimeNotes(fromMs, replay ? replay.mods : STATE.mods, practice, replay ? replay.scoring : STATE.scoring);
 
   STATE.running = true;
   STATE.paused = false;
   STATE.ended = false;
-  STATE.startAtPerfMs = nowMs();
   STATE.pausedTotalMs = 0;
 
+  if (auto) STATE.auto = { mode: auto, fromMs, player: createAutoplay(STATE.game) };
+  else if (practice) STATE.practiceRun = practice; // no replay recording
+  else beginReplaySession(fromMs, replay);
+  STATE.rate *= modRate(STATE.game.mods); // DT / HT
+  if (practice) STATE.rate *= practice.speed;
+
+  // Song time starts at fromMs - lead
+  const lead = fromMs > 0 ? CONFIG.MIN_LEAD_IN_MS : leadInMs(STATE.beatmap);
+  STATE.startAtClockMs = STATE.audio.buffer && auto !== "attract"
+    ? startAudio(fromMs, lead)
+    : nowMs() + (lead - fromMs) / STATE.rate;
+
+  if (auto === "attract") return; // Start / Ready prompt stay as they are
+  prepareSounds();
+
   el.btnStart.disabled = true;
   el.btnRestart.disabled = false;
   el.btnPause.disabled = false;
 
   showPrompt(false);
-  toast("Go");
+  const parts = [
+    replay ? `Replay • ${fmtRate(STATE.rate)}`
+      : auto ? "Auto"
+        : practice ? `Practice ${fmtRange(practice)} @ ${fmtSpeed(practice.speed)}`
+          : audioMismatchNote() || "Go",
+  ];
+  if (STATE.game.mods.length) parts.push(`+${modsLabel(STATE.game.mods)}`);
+  toast(parts.join(" • "));
 }
 
 function restartGame() {
-  startGame();
+  if (STATE.auto) startGame(STATE.auto.fromMs, null, STATE.auto.mode);
+  else if (STATE.practiceRun) startGame(STATE.practiceRun.fromMs, null, null, STATE.practiceRun);
+  else if (STATE.replay.mode === "playing") startGame(STATE.replay.data.startMs, STATE.replay.data);
+  else startGame();
 }
 
 function togglePause() {
@@ -682,33 +1847,2127 @@ function togglePause() {
 
   if (!STATE.paused) {
     STATE.paused = true;
-    STATE.pauseAtPerfMs = nowMs();
+    STATE.pauseAtClockMs = clockNowMs();
+    if (STATE.audio.playing) STATE.audio.ctx.suspend();
     el.btnPause.textContent = "Resume";
     toast("Paused");
     showPrompt(true);
   } else {
     STATE.paused = false;
-    const resumeAt = nowMs();
-    STATE.pausedTotalMs += (resumeAt - STATE.pauseAtPerfMs);
+    if (STATE.audio.playing) {
+      // The audio clock itself stood still while suspended
+      STATE.audio.ctx.resume();
+    } else {
+      const resumeAt = nowMs();
+      STATE.pausedTotalMs += (resumeAt - STATE.pauseAtClockMs);
+    }
     el.btnPause.textContent = "Pause";
     toast("Resume");
     showPrompt(false);
   }
 }
 
-// ---------------------- Init ----------------------
-function init() {
-  resizeCanvas();
-  loadBeatmap();
-  resetGameState();
+// ---------------------- Autoplay ----------------------
+/**
+ * Auto: the engine's autoplay (createAutoplay) plays the chart through the normal input path.
+ * Used to preview charts, to check every note is hittable under the overlap rule, and as the
+ * attract-mode demo behind the Ready prompt after CONFIG.ATTRACT_IDLE_MS without input.
+ */
+function feedAutoplay(t) {
+  STATE.auto.player.feed(t);
+  const p = STATE.auto.player.cursorAt(t);
+  STATE.cursorX = p.x;
+  STATE.cursorY = p.y;
+}
 
-  // Ensure cursor has a valid default in center
-  STATE.cursorX = cssW * 0.5;
-  STATE.cursorY = cssH * 0.5;
+// Finish-toast note: anything autoplay couldn't Perfect is a chart problem
+function autoplayReport() {
+  const bad = STATE.game.notes.filter(n => n.state !== "skipped" && n.judgment !== "P");
+  if (bad.length === 0) return " • Autoplay: every note hittable";
+  return ` • Autoplay: ${bad.length} not Perfect (first at ${fmtSec(bad[0].tMs)})`;
+}
 
-  el.btnStart.addEventListener("click", startGame);
-  el.btnRestart.addEventListener("click", restartGame);
-  el.btnPause.addEventListener("click", togglePause);
+// Any key / pointer press counts as activity and ends the attract demo
+function noteActivity() {
+  STATE.idleSinceMs = nowMs();
+  if (STATE.auto && STATE.auto.mode === "attract") resetGameState();
+}
+
+function bindAutoplayControls() {
+  for (const type of ["keydown", "mousedown", "touchstart", "wheel", "drop"]) {
+    window.addEventListener(type, noteActivity, { capture: true, passive: true });
+  }
+  el.btnAuto.addEventListener("click", () => startGame(0, null, "auto"));
+  el.edAuto.addEventListener("click", () => startGame(STATE.editor.timeMs, null, "auto"));
+}
+
+// ---------------------- Practice ----------------------
+/**
+ * Practice runs play an A-B range of the chart (or one of its sections) at 50-100% speed, optionally
+ * looping. Notes outside the range are skipped (engine fromMs / toMs), the run can't fail and isn't
+ * recorded as a replay or on the leaderboards; each pass goes to a separate per-chart practice log.
+ */
+const PRACTICE_STORAGE_KEY = "bubble-rhythm.practice";
+const PRACTICE_PER_MAP = 20;
+const PRACTICE_MIN_SPEED = 0.5;
+
+function fmtSpeed(speed) { return `${Math.round(speed * 100)}%`; }
+
+function fmtRange(range) {
+  return `${fmtSec(range.fromMs)}–${range.toMs === null ? "end" : fmtSec(range.toMs)}`;
+}
+
+function parsePracticeAttempt(e, where) {
+  const ok = e && isFiniteNumber(e.fromMs) && (e.toMs === null || isFiniteNumber(e.toMs)) &&
+    isFiniteNumber(e.speed) && e.speed >= PRACTICE_MIN_SPEED && e.speed <= 1;
+  if (!ok) throw new Error(`Practice attempt ${where} is malformed`);
+  return { ...parseScoreEntry(e, where), fromMs: e.fromMs, toMs: e.toMs, speed: e.speed };
+}
+
+function loadSavedPractice() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRACTICE_STORAGE_KEY) || "{}");
+    const log = {};
+    for (const [hash, attempts] of Object.entries(saved)) {
+      log[hash] = attempts.map((e, i) => parsePracticeAttempt(e, `${hash}#${i}`)).slice(0, PRACTICE_PER_MAP);
+    }
+    return log;
+  } catch (err) {
+    return {};
+  }
+}
+
+function savePractice() {
+  try {
+    localStorage.setItem(PRACTICE_STORAGE_KEY, JSON.stringify(STATE.practiceLog));
+  } catch (err) {
+    // storage unavailable or full: the log lasts for this session only
+  }
+}
+
+// Adds the finished pass to the chart's practice log (newest first)
+function recordPractice(summary) {
+  const p = STATE.practiceRun;
+  const hash = beatmapHash(STATE.beatmap);
+  const attempts = STATE.practiceLog[hash] || (STATE.practiceLog[hash] = []);
+  attempts.unshift({
+    score: summary.score,
+    accuracy: summary.accuracy,
+    maxCombo: summary.maxCombo,
+    grade: summary.grade,
+    counts: { ...summary.counts },
+    mods: STATE.game.mods.slice(),
+    date: new Date().toISOString(),
+    fromMs: p.fromMs,
+    toMs: p.toMs,
+    speed: p.speed,
+  });
+  attempts.length = Math.min(attempts.length, PRACTICE_PER_MAP);
+  savePractice();
+}
+
+// A practice pass reached B: log it, then go round again or show the results
+function finishPractice() {
+  const practice = STATE.practiceRun;
+  const summary = summarizeRun(STATE.game);
+  recordPractice(summary);
+  if (practice.loop) {
+    STATE.practiceLoops += 1;
+    startGame(practice.fromMs, null, null, practice);
+    toast(`Loop ${STATE.practiceLoops} • Acc ${fmtPct(summary.accuracy)} • Max combo ${summary.maxCombo}`);
+    return;
+  }
+  STATE.ended = true;
+  el.btnPause.disabled = true;
+  toast(`Practice done • Acc ${fmtPct(summary.accuracy)}`);
+  showResults();
+}
+
+// A / B from the panel (seconds; empty B = end of chart); null after a toast if unusable
+function readPracticeRange() {
+  const fromMs = Math.round(Number(el.pracFrom.value || 0) * 1000);
+  const toText = el.pracTo.value.trim();
+  const toMs = toText === "" ? null : Math.round(Number(toText) * 1000);
+  if (!Number.isFinite(fromMs) || fromMs < 0 || (toMs !== null && !Number.isFinite(toMs))) {
+    toast("Practice range: enter times in seconds");
+    return null;
+  }
+  if (toMs !== null && toMs <= fromMs) {
+    toast("Practice range: B must be after A");
+    return null;
+  }
+  if (!STATE.beatmap.notes.some(n => n.tMs >= fromMs && (toMs === null || n.tMs < toMs))) {
+    toast("No notes in that range");
+    return null;
+  }
+  return { fromMs, toMs };
+}
+
+function startPractice() {
+  const range = readPracticeRange();
+  if (!range) return;
+  STATE.practice = { ...range, speed: Number(el.pracSpeed.value) / 100, loop: el.pracLoop.checked };
+  STATE.practiceLoops = 0;
+  startGame(range.fromMs, null, null, { ...STATE.practice });
+}
+
+function renderPracticeTable() {
+  const attempts = STATE.practiceLog[beatmapHash(STATE.beatmap)] || [];
+  const head = "<tr><th>Range</th><th>Speed</th><th>Score</th><th>Acc</th><th>Combo</th><th>Mods</th></tr>";
+  const rows = attempts.slice(0, 8).map(e =>
+    `<tr><td>${fmtRange(e)}</td><td>${fmtSpeed(e.speed)}</td><td>${fmtScore(e.score)}</td>` +
+    `<td>${fmtPct(e.accuracy)}</td><td>${e.maxCombo}</td><td>${modsLabel(e.mods)}</td></tr>`);
+  el.pracTable.innerHTML = head + (rows.length ? rows.join("") : '<tr><td colspan="6">No practice yet</td></tr>');
+}
+
+function syncPracticePanel() {
+  const spans = sectionSpans(STATE.beatmap);
+  el.pracSection.innerHTML = '<option value="">Custom range</option>';
+  spans.forEach((span, i) => {
+    const opt = document.createElement("option");
+    opt.value = String(i);
+    opt.textContent = `${span.name} (${fmtSec(Math.max(0, span.fromMs))})`;
+    el.pracSection.append(opt);
+  });
+  const p = STATE.practice;
+  const match = spans.findIndex((span, i) => Math.max(0, span.fromMs) === p.fromMs &&
+    (i === spans.length - 1 ? p.toMs === null : span.toMs === p.toMs));
+  el.pracSection.value = match >= 0 ? String(match) : "";
+  el.pracFrom.value = String(p.fromMs / 1000);
+  el.pracTo.value = p.toMs === null ? "" : String(p.toMs / 1000);
+  el.pracLoop.checked = p.loop;
+  el.pracSpeed.value = String(Math.round(p.speed * 100));
+  el.pracSpeedLabel.textContent = fmtSpeed(p.speed);
+  renderPracticeTable();
+}
+
+// A section sets A-B to its span (the last one runs to the end of the chart)
+function pickPracticeSection() {
+  const spans = sectionSpans(STATE.beatmap);
+  const i = el.pracSection.value === "" ? -1 : Number(el.pracSection.value);
+  if (!spans[i]) return;
+  el.pracFrom.value = String(Math.max(0, spans[i].fromMs) / 1000);
+  el.pracTo.value = i === spans.length - 1 ? "" : String(spans[i].toMs / 1000);
+}
+
+function openPracticePanel() {
+  if (STATE.running && !STATE.ended) {
+    toast("Practice can be set up between runs");
+    return;
+  }
+  if (STATE.editor.active) closeEditor();
+  closeSettingsPanels();
+  if (!el.resultsPanel.hidden || !el.failPanel.hidden) closeResults();
+  syncPracticePanel();
+  el.practicePanel.hidden = false;
+}
+
+function closePracticePanel() {
+  el.practicePanel.hidden = true;
+}
+
+function bindPracticeControls() {
+  el.btnPractice.addEventListener("click", () => (el.practicePanel.hidden ? openPracticePanel() : closePracticePanel()));
+  el.pracClose.addEventListener("click", closePracticePanel);
+  el.pracStart.addEventListener("click", startPractice);
+  el.pracSection.addEventListener("change", pickPracticeSection);
+  for (const input of [el.pracFrom, el.pracTo]) {
+    input.addEventListener("input", () => { el.pracSection.value = ""; });
+  }
+  el.pracSpeed.addEventListener("input", () => {
+    el.pracSpeedLabel.textContent = fmtSpeed(Number(el.pracSpeed.value) / 100);
+  });
+  STATE.practiceLog = loadSavedPractice();
+}
+
+// ---------------------- Results ----------------------
+/**
+ * Shown when a run ends (not for the attract demo): engine summarizeRun() plus two small
+ * canvases — the hit-error histogram and running accuracy over time with the chart's sections.
+ */
+const RESULT_COLORS = {
+  P: "rgba(160,255,190,0.85)",
+  G: "rgba(120,170,255,0.85)",
+  O: "rgba(255,220,140,0.85)",
+  line: "rgba(255,255,255,0.92)",
+  muted: "rgba(255,255,255,0.45)",
+};
+
+function fmtMeanError(ms) {
+  const v = Math.abs(ms).toFixed(1);
+  if (+v === 0) return "0.0ms";
+  return ms > 0 ? `+${v}ms late` : `-${v}ms early`;
+}
+
+// Canvas 2D context drawing in CSS pixels at the canvas' intrinsic size, backed at DPR
+function resultsContext(cv) {
+  const w = +cv.getAttribute("width");
+  const h = +cv.getAttribute("height");
+  const dpr = Math.max(1, Math.min(2, window.devicePixelRatio || 1));
+  cv.width = Math.floor(w * dpr);
+  cv.height = Math.floor(h * dpr);
+  cv.style.aspectRatio = `${w} / ${h}`;
+  const c = cv.getContext("2d");
+  c.setTransform(dpr, 0, 0, dpr, 0, 0);
+  c.clearRect(0, 0, w, h);
+  return { c, w, h };
+}
+
+function drawHitErrorHistogram(cv, summary, timing) {
+  const { c, w, h } = resultsContext(cv);
+  const { rangeMs, binMs, counts } = summary.histogram;
+  const pad = 14;
+  const x = ms => ((ms + rangeMs) / (2 * rangeMs)) * w;
+
+  // Judgment windows as bands behind the bars
+  for (const [ms, color] of [[timing.OK_MS, RESULT_COLORS.O], [timing.GOOD_MS, RESULT_COLORS.G], [timing.PERFECT_MS, RESULT_COLORS.P]]) {
+    c.globalAlpha = 0.14;
+    c.fillStyle = color;
+    c.fillRect(x(-ms), 0, x(ms) - x(-ms), h - pad);
+  }
+  c.globalAlpha = 1;
+
+  const peak = Math.max(1, ...counts);
+  const bw = w / counts.length;
+  for (let i = 0; i < counts.length; i++) {
+    if (counts[i] === 0) continue;
+    const mid = Math.abs(-rangeMs + (i + 0.5) * binMs);
+    c.fillStyle = mid <= timing.PERFECT_MS ? RESULT_COLORS.P : mid <= timing.GOOD_MS ? RESULT_COLORS.G : RESULT_COLORS.O;
+    const bh = (counts[i] / peak) * (h - pad - 6);
+    c.fillRect(i * bw + 1, h - pad - bh, Math.max(1, bw - 2), bh);
+  }
+
+  c.strokeStyle = RESULT_COLORS.muted;
+  c.lineWidth = 1;
+  c.beginPath();
+  c.moveTo(x(0), 0);
+  c.lineTo(x(0), h - pad);
+  c.stroke();
+
+  if (summary.errors.length) {
+    c.strokeStyle = RESULT_COLORS.line;
+    c.lineWidth = 2;
+    c.beginPath();
+    c.moveTo(x(summary.meanErrorMs), 0);
+    c.lineTo(x(summary.meanErrorMs), h - pad);
+    c.stroke();
+  }
+
+  c.fillStyle = RESULT_COLORS.muted;
+  c.font = "10px ui-monospace, monospace";
+  c.textBaseline = "bottom";
+  c.textAlign = "left";
+  c.fillText(`-${rangeMs}ms`, 2, h);
+  c.textAlign = "center";
+  c.fillText("0", x(0), h);
+  c.textAlign = "right";
+  c.fillText(`+${rangeMs}ms`, w - 2, h);
+}
+
+function drawAccuracyTimeline(cv, summary) {
+  const { c, w, h } = resultsContext(cv);
+  const { sections, timeline } = summary;
+  const t0 = sections[0].fromMs;
+  const t1 = sections[sections.length - 1].toMs;
+  const minAcc = Math.min(0.9, Math.floor(Math.min(1, ...timeline.map(p => p.accuracy)) * 10) / 10);
+  const top = 16;
+  const x = tMs => ((tMs - t0) / Math.max(1, t1 - t0)) * w;
+  const y = acc => top + (1 - (acc - minAcc) / (1 - minAcc)) * (h - top - 4);
+
+  // Section bands, each labelled with its own accuracy
+  c.font = "10px ui-sans-serif, system-ui, sans-serif";
+  c.textBaseline = "top";
+  c.textAlign = "left";
+  sections.forEach((sec, i) => {
+    const x0 = x(sec.fromMs);
+    const x1 = x(sec.toMs);
+    if (i % 2 === 0) {
+      c.fillStyle = "rgba(255,255,255,0.05)";
+      c.fillRect(x0, 0, x1 - x0, h);
+    }
+    c.fillStyle = RESULT_COLORS.muted;
+    const acc = sec.accuracy === null ? "—" : `${(sec.accuracy * 100).toFixed(1)}%`;
+    c.save();
+    c.beginPath();
+    c.rect(x0, 0, x1 - x0, h);
+    c.clip();
+    c.fillText(`${sec.name} ${acc}`, x0 + 3, 2);
+    c.restore();
+  });
+
+  c.strokeStyle = "rgba(255,255,255,0.12)";
+  c.lineWidth = 1;
+  for (const acc of [1, minAcc]) {
+    c.beginPath();
+    c.moveTo(0, y(acc));
+    c.lineTo(w, y(acc));
+    c.stroke();
+  }
+
+  if (timeline.length) {
+    c.strokeStyle = RESULT_COLORS.G;
+    c.lineWidth = 2;
+    c.beginPath();
+    timeline.forEach((p, i) => (i === 0 ? c.moveTo(x(p.tMs), y(p.accuracy)) : c.lineTo(x(p.tMs), y(p.accuracy))));
+    c.stroke();
+  }
+
+  c.fillStyle = RESULT_COLORS.muted;
+  c.textAlign = "right";
+  c.textBaseline = "bottom";
+  c.fillText(`${Math.round(minAcc * 100)}%`, w - 2, h - 2);
+}
+
+function showResults() {
+  const game = STATE.game;
+  const summary = summarizeRun(game);
+  const practice = STATE.practiceRun;
+  const who = STATE.auto ? "Autoplay" : STATE.replay.mode === "playing" ? "Replay" : practice ? "Practice" : "Results";
+
+  el.resGrade.textContent = summary.grade;
+  el.resTitle.textContent = `${who} • ${STATE.beatmap.title}`;
+  el.resSub.textContent = `Mods: ${modsLabel(game.mods)} • ${fmtStars(chartRating(STATE.beatmap, game.mods).stars)}` +
+    ` • ${SCORING_MODELS[game.scoring].name} scoring` +
+    (practice ? ` • ${fmtRange(practice)} @ ${fmtSpeed(practice.speed)}` : "");
+  el.resStats.innerHTML = [
+    ["Score", fmtScore(summary.score)],
+    ["Max combo", summary.maxCombo],
+    ["Accuracy", fmtPct(summary.accuracy)],
+    ["P / G / O / M", `${summary.counts.p} / ${summary.counts.g} / ${summary.counts.o} / ${summary.counts.m}`],
+    ["Mean", fmtMeanError(summary.meanErrorMs)],
+    ["UR", summary.unstableRate.toFixed(1)],
+  ].map(([k, v]) => `<span>${k} <b>${v}</b></span>`).join("");
+
+  showPersonalBest(recordRun(summary));
+
+  drawHitErrorHistogram(el.resHist, summary, game.timing);
+  drawAccuracyTimeline(el.resTimeline, summary);
+
+  showPrompt(false);
+  el.resultsPanel.hidden = false;
+}
+
+// HP ran out: the run stops where it failed (no results, no leaderboard entry)
+function showFailed() {
+  const stats = STATE.game.stats;
+  STATE.ended = true;
+  el.btnPause.disabled = true;
+
+  // Freeze the playfield at the failing frame
+  STATE.pauseAtClockMs = clockNowMs();
+  STATE.paused = true;
+  stopAudio();
+
+  const note = STATE.auto ? "" : finishReplaySession();
+  // Share of the notes this run plays (a practice range or mid-chart start skips the rest)
+  const played = STATE.game.notes.filter(n => n.state !== "skipped");
+  const done = played.filter(n => n.judgment).length / Math.max(1, played.length);
+  el.failInfo.textContent = `HP ran out at ${fmtSec(stats.failedAtMs)} • ${fmtPct(done)} of the chart • ` +
+    `Score ${fmtScore(stats.score)} • Acc ${fmtPct(STATE.game.accuracy())}`;
+  toast(`Failed${note}`);
+
+  showPrompt(false);
+  el.failPanel.hidden = false;
+}
+
+function closeResults() {
+  el.resultsPanel.hidden = true;
+  el.failPanel.hidden = true;
+  showPrompt(true);
+}
+
+function bindResultsControls() {
+  el.resRetry.addEventListener("click", restartGame);
+  el.resClose.addEventListener("click", closeResults);
+  el.failRetry.addEventListener("click", restartGame);
+  el.failQuit.addEventListener("click", () => {
+    resetGameState();
+    STATE.idleSinceMs = nowMs();
+  });
+}
+
+// ---------------------- Star Rating ----------------------
+/**
+ * rating.js rates the loaded chart (aim / speed strain -> stars). The Ready prompt shows it for the
+ * selected mods with a strain-over-time graph; results and the score board show it too.
+ */
+function fmtStars(stars) { return `★ ${stars.toFixed(2)}`; }
+
+// Cached per chart content + mods: the editor and the mod panel ask again on every change
+function chartRating(beatmap, mods) {
+  const key = `${beatmapHash(beatmap)}|${mods.join("")}`;
+  if (!STATE.rating || STATE.rating.key !== key) STATE.rating = { key, result: rateChart(beatmap, { mods }) };
+  return STATE.rating.result;
+}
+
+function syncChartRating() {
+  if (!STATE.beatmap) return;
+  const r = chartRating(STATE.beatmap, STATE.mods);
+  const mods = STATE.mods.length ? ` +${modsLabel(STATE.mods)}` : "";
+  el.promptStars.textContent = `${fmtStars(r.stars)}${mods} • aim ${r.aim.toFixed(2)} • speed ${r.speed.toFixed(2)}`;
+  drawStrainGraph(el.promptStrain, r);
+}
+
+// Aim (blue) and speed (gold) strain per window, sections marked with their own stars
+function drawStrainGraph(cv, rating) {
+  const { c, w, h } = resultsContext(cv);
+  const { strain, sections } = rating;
+  if (strain.length === 0) return;
+  const t0 = Math.min(strain[0].tMs, sections.length ? sections[0].fromMs : Infinity);
+  const t1 = Math.max(strain[strain.length - 1].tMs, sections.length ? sections[sections.length - 1].toMs : 0);
+  const x = tMs => ((tMs - t0) / Math.max(1, t1 - t0)) * w;
+  const peak = Math.max(1e-6, ...strain.map(s => Math.max(s.aim, s.speed)));
+  const top = 12;
+
+  c.font = "9px ui-sans-serif, system-ui, sans-serif";
+  c.textBaseline = "top";
+  c.textAlign = "left";
+  sections.forEach((sec, i) => {
+    if (i % 2 === 0) {
+      c.fillStyle = "rgba(255,255,255,0.05)";
+      c.fillRect(x(sec.fromMs), 0, x(sec.toMs) - x(sec.fromMs), h);
+    }
+    c.fillStyle = RESULT_COLORS.muted;
+    c.fillText(sec.stars.toFixed(1), x(sec.fromMs) + 2, 1);
+  });
+
+  for (const [key, color] of [["aim", RESULT_COLORS.G], ["speed", RESULT_COLORS.O]]) {
+    c.strokeStyle = color;
+    c.lineWidth = 1.5;
+    c.beginPath();
+    strain.forEach((s, i) => {
+      const y = h - 2 - (s[key] / peak) * (h - top - 2);
+      if (i === 0) c.moveTo(x(s.tMs), y);
+      else c.lineTo(x(s.tMs), y);
+    });
+    c.stroke();
+  }
+}
+
+// ---------------------- Leaderboards ----------------------
+/**
+ * Finished full-chart runs by the player (not autoplay, replays or "test from here") are kept in
+ * localStorage, one board per beatmapHash, so an edited chart starts a fresh board. Each entry notes
+ * its scoring model; ranks and the table only compare entries of the same model.
+ * Export / Import move the whole database as JSON; importing merges boards entry by entry.
+ */
+const SCORES_STORAGE_KEY = "bubble-rhythm.scores";
+const SCORES_FORMAT = "bubble-rhythm-scores";
+const SCORES_VERSION = 1;
+const SCORES_PER_MAP = 50; // per scoring model
+
+// Best first; equal scores keep the earlier play ahead
+function compareScores(a, b) {
+  return b.score - a.score || (a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+}
+
+// Same play seen twice (e.g. re-importing a merged export)
+function sameScore(a, b) {
+  return a.date === b.date && a.score === b.score && a.maxCombo === b.maxCombo;
+}
+
+function parseScoreEntry(e, where) {
+  const counts = e && e.counts;
+  const ok = e && isFiniteNumber(e.score) && isFiniteNumber(e.accuracy) && Number.isInteger(e.maxCombo) &&
+    counts && ["p", "g", "o", "m"].every(k => Number.isInteger(counts[k])) &&
+    typeof e.date === "string" && !Number.isNaN(Date.parse(e.date)) &&
+    Array.isArray(e.mods) && e.mods.every(id => MODS[id]) &&
+    (e.scoring === undefined || SCORING_MODELS[e.scoring]) &&
+    (e.grade === undefined || gradeNames(e.scoring).includes(e.grade));
+  if (!ok) throw new Error(`Score ${where} is malformed`);
+  return {
+    score: e.score,
+    accuracy: e.accuracy,
+    maxCombo: e.maxCombo,
+    grade: e.grade === undefined ? "" : e.grade,
+    counts: { p: counts.p, g: counts.g, o: counts.o, m: counts.m },
+    mods: normalizeMods(e.mods),
+    scoring: e.scoring === undefined ? DEFAULT_SCORING : e.scoring, // older entries: combo scoring
+    date: e.date,
+  };
+}
+
+// Grades a scoring model hands out, D included
+function gradeNames(scoring = DEFAULT_SCORING) {
+  return [...SCORING_MODELS[scoring].grades.map(g => g.grade), "D"];
+}
+
+// Best first, at most SCORES_PER_MAP entries of each scoring model
+function trimBoard(scores) {
+  const kept = {};
+  return scores.sort(compareScores).filter(e => (kept[e.scoring] = (kept[e.scoring] || 0) + 1) <= SCORES_PER_MAP);
+}
+
+// A board's entries under one scoring model, best first
+function boardScores(board, scoring) {
+  return board ? board.scores.filter(e => e.scoring === scoring) : [];
+}
+
+// { format, version, boards } -> { [hash]: { title, scores } } (sorted, capped)
+function parseScoreDbObject(obj) {
+  if (!obj || obj.format !== SCORES_FORMAT) throw new Error("Not a score file");
+  if (!Number.isInteger(obj.version) || obj.version > SCORES_VERSION) throw new Error(`Unsupported score file version ${obj.version}`);
+  if (!obj.boards || typeof obj.boards !== "object") throw new Error("Score file has no boards");
+
+  const db = {};
+  for (const [hash, board] of Object.entries(obj.boards)) {
+    if (!board || !Array.isArray(board.scores)) throw new Error(`Board ${hash} has no scores`);
+    db[hash] = {
+      title: typeof board.title === "string" ? board.title : "",
+      scores: trimBoard(board.scores.map((e, i) => parseScoreEntry(e, `${hash}#${i}`))),
+    };
+  }
+  return db;
+}
+
+function scoreDbToJson(db) {
+  return JSON.stringify({ format: SCORES_FORMAT, version: SCORES_VERSION, boards: db });
+}
+
+function loadSavedScores() {
+  try {
+    const saved = localStorage.getItem(SCORES_STORAGE_KEY);
+    return saved ? parseScoreDbObject(JSON.parse(saved)) : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function saveScores() {
+  try {
+    localStorage.setItem(SCORES_STORAGE_KEY, scoreDbToJson(STATE.scores));
+  } catch (err) {
+    // storage unavailable or full: the board lasts for this session only
+  }
+}
+
+// Adds entry to the hash's board; returns its 1-based rank among its scoring model's entries,
+// or 0 if it didn't make the cut / was already there
+function addBoardScore(db, hash, title, entry) {
+  const board = db[hash] || (db[hash] = { title, scores: [] });
+  if (title) board.title = title;
+  if (board.scores.some(e => sameScore(e, entry))) return 0;
+  board.scores.push(entry);
+  board.scores = trimBoard(board.scores);
+  return boardScores(board, entry.scoring).indexOf(entry) + 1;
+}
+
+// Merges every board of `incoming` into `db`; returns how many entries were new
+function mergeScores(db, incoming) {
+  let added = 0;
+  for (const [hash, board] of Object.entries(incoming)) {
+    for (const entry of board.scores) {
+      if (addBoardScore(db, hash, board.title, entry) > 0) added += 1;
+    }
+  }
+  return added;
+}
+
+// Why a finished run doesn't go on the board, or "" if it does
+function unrankedReason() {
+  if (STATE.practiceRun) return "practice";
+  if (STATE.auto) return "autoplay";
+  if (STATE.replay.mode === "playing") return "replay";
+  if (STATE.replay.startMs > 0) return "started mid-chart";
+  return "";
+}
+
+/**
+ * Stores the finished run. Returns { rank, prevBest } when recorded, { reason } otherwise;
+ * prevBest is the board's top score before this run (null on a new board).
+ */
+function recordRun(summary) {
+  const reason = unrankedReason();
+  if (reason) return { reason };
+
+  const hash = beatmapHash(STATE.beatmap);
+  const prevBest = boardScores(STATE.scores[hash], STATE.game.scoring)[0] || null;
+  const entry = {
+    score: summary.score,
+    accuracy: summary.accuracy,
+    maxCombo: summary.maxCombo,
+    grade: summary.grade,
+    counts: { ...summary.counts },
+    mods: STATE.game.mods.slice(),
+    scoring: STATE.game.scoring,
+    date: new Date().toISOString(),
+  };
+  const rank = addBoardScore(STATE.scores, hash, STATE.beatmap.title, entry);
+  if (rank > 0) {
+    STATE.lastScore = { hash, entry };
+    saveScores();
+  }
+  return { rank, prevBest };
+}
+
+function fmtScore(score) { return Math.round(score).toLocaleString("en-US"); }
+
+function showPersonalBest(rec) {
+  const { reason, rank, prevBest } = rec;
+  let text = "";
+  if (reason) text = `Not on the leaderboard (${reason})`;
+  else if (rank === 1) text = prevBest ? `New personal best! (+${fmtScore(STATE.game.stats.score - prevBest.score)})` : "New personal best! (first play of this chart)";
+  else if (rank > 1) text = `#${rank} on this chart • best ${fmtScore(prevBest.score)}`;
+  else text = `Below the top ${SCORES_PER_MAP} • best ${fmtScore(prevBest.score)}`;
+  el.resPb.textContent = text;
+  el.resPb.classList.toggle("best", rank === 1);
+}
+
+function renderScoreTable() {
+  const hash = beatmapHash(STATE.beatmap);
+  const scores = boardScores(STATE.scores[hash], STATE.scoring);
+  const stars = chartRating(STATE.beatmap, []).stars;
+  el.scoreMap.textContent = `${STATE.beatmap.title} • ${fmtStars(stars)} • ${hash} • ` +
+    `${SCORING_MODELS[STATE.scoring].name} scoring • ${scores.length} score${scores.length === 1 ? "" : "s"}`;
+
+  const latest = STATE.lastScore && STATE.lastScore.hash === hash ? STATE.lastScore.entry : null;
+  const rows = scores.map((e, i) => {
+    const c = e.counts;
+    const row = tableRow("td", [i + 1, fmtScore(e.score), e.grade, fmtPct(e.accuracy), e.maxCombo,
+      `${c.p} / ${c.g} / ${c.o} / ${c.m}`, modsLabel(e.mods), new Date(e.date).toLocaleDateString()]);
+    if (e === latest) row.className = "latest";
+    return row;
+  });
+  if (rows.length === 0) {
+    rows.push(tableRow("td", ["No plays yet"]));
+    rows[0].firstChild.colSpan = 8;
+  }
+  el.scoreTable.replaceChildren(tableRow("th", ["#", "Score", "Grade", "Acc", "Combo", "P / G / O / M", "Mods", "Date"]), ...rows);
+}
+
+// <tr> of text cells (imported scores are untrusted: no markup)
+function tableRow(tag, cells) {
+  const tr = document.createElement("tr");
+  for (const text of cells) {
+    const cell = document.createElement(tag);
+    cell.textContent = String(text);
+    tr.appendChild(cell);
+  }
+  return tr;
+}
+
+function openScorePanel() {
+  if (STATE.running && !STATE.ended) {
+    toast("Scores can be viewed between runs");
+    return;
+  }
+  if (STATE.editor.active) closeEditor();
+  closeSettingsPanels();
+  if (!el.resultsPanel.hidden || !el.failPanel.hidden) closeResults();
+  renderScoreTable();
+  el.scorePanel.hidden = false;
+}
+
+function closeScorePanel() {
+  el.scorePanel.hidden = true;
+}
+
+function exportScores() {
+  const stamp = new Date().toISOString().slice(0, 10);
+  downloadText(`bubble-rhythm-scores-${stamp}.json`, scoreDbToJson(STATE.scores), "application/json");
+  const n = Object.values(STATE.scores).reduce((sum, b) => sum + b.scores.length, 0);
+  toast(`Exported ${n} scores`);
+}
+
+async function importScoresFile(file) {
+  try {
+    const added = mergeScores(STATE.scores, parseScoreDbObject(parseJsonText(await file.text())));
+    saveScores();
+    renderScoreTable();
+    toast(`Imported ${added} new score${added === 1 ? "" : "s"}`);
+  } catch (err) {
+    toast(`Import failed (${file.name}): ${err.message}`);
+  }
+}
+
+function bindScoreControls() {
+  el.btnScores.addEventListener("click", () => (el.scorePanel.hidden ? openScorePanel() : closeScorePanel()));
+  el.scoreClose.addEventListener("click", closeScorePanel);
+  el.scoreExport.addEventListener("click", exportScores);
+  el.scoreImport.addEventListener("click", () => el.fileScores.click());
+  el.fileScores.addEventListener("change", () => {
+    const file = el.fileScores.files[0];
+    el.fileScores.value = "";
+    if (file) importScoresFile(file);
+  });
+  STATE.scores = loadSavedScores();
+}
+
+// ---------------------- Key Bindings ----------------------
+/**
+ * Primary / secondary hit keys (osu!'s K1 / K2), pause and retry, rebound in the Keys panel and kept
+ * in localStorage. The two hit keys are separate press kinds ("key" / "key2") so alternating them
+ * never drops a slider hold; the overlay counts presses per key.
+ */
+const KEYS_STORAGE_KEY = "bubble-rhythm.keys";
+const KEY_ACTIONS = {
+  hit1: "Hit (primary)",
+  hit2: "Hit (secondary)",
+  pause: "Pause",
+  retry: "Retry",
+  perf: "FPS overlay",
+  bench: "Benchmark",
+};
+const HIT_KEY_KINDS = { hit1: "key", hit2: "key2" };
+
+function loadSavedKeys() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(KEYS_STORAGE_KEY) || "{}");
+    const keys = { ...CONFIG.KEYS };
+    for (const action of Object.keys(KEY_ACTIONS)) {
+      if (typeof saved[action] === "string" && saved[action]) keys[action] = saved[action];
+    }
+    const padSensitivity = Number.isFinite(saved.padSensitivity) ? saved.padSensitivity : CONFIG.PAD_SENSITIVITY;
+    return { keys, overlay: saved.overlay !== false, padSensitivity };
+  } catch (err) {
+    return { keys: { ...CONFIG.KEYS }, overlay: true, padSensitivity: CONFIG.PAD_SENSITIVITY };
+  }
+}
+
+function saveKeys() {
+  try {
+    localStorage.setItem(KEYS_STORAGE_KEY, JSON.stringify({
+      ...STATE.keys,
+      overlay: STATE.keyOverlay,
+      padSensitivity: STATE.pad.sensitivity,
+    }));
+  } catch (err) {
+    // storage unavailable: bindings last for this session only
+  }
+}
+
+function keyAction(code) {
+  return Object.keys(KEY_ACTIONS).find(action => STATE.keys[action] === code) || null;
+}
+
+// "KeyE" -> "E", "Digit1" -> "1", "Backquote" -> "`"
+function keyLabel(code) {
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^Digit\d$/.test(code)) return code.slice(5);
+  return { Backquote: "`", Minus: "-", Equal: "=", Comma: ",", Period: ".", Slash: "/", Semicolon: ";", Quote: "'" }[code] || code;
+}
+
+// Binding a key that another action uses swaps the two
+function bindKey(action, code) {
+  const other = keyAction(code);
+  if (other && other !== action) STATE.keys[other] = STATE.keys[action];
+  STATE.keys[action] = code;
+  saveKeys();
+  syncKeyPanel();
+}
+
+function captureKeyBinding(e) {
+  e.preventDefault();
+  e.stopPropagation();
+  const action = STATE.keyListen;
+  STATE.keyListen = null;
+  if (e.code !== "Escape") bindKey(action, e.code);
+  else syncKeyPanel();
+}
+
+function syncKeyPanel() {
+  el.keyList.innerHTML = "";
+  for (const [action, label] of Object.entries(KEY_ACTIONS)) {
+    const name = document.createElement("span");
+    name.textContent = label;
+    const btn = document.createElement("button");
+    btn.type = "button";
+    const listening = STATE.keyListen === action;
+    btn.textContent = listening ? "Press a key…" : keyLabel(STATE.keys[action]);
+    btn.classList.toggle("listening", listening);
+    btn.addEventListener("click", () => {
+      STATE.keyListen = action;
+      syncKeyPanel();
+    });
+    el.keyList.append(name, btn);
+  }
+  el.keyOverlayToggle.checked = STATE.keyOverlay;
+  el.promptKeys.textContent = `${keyLabel(STATE.keys.hit1)} / ${keyLabel(STATE.keys.hit2)}`;
+}
+
+function openKeyPanel() {
+  if (STATE.running && !STATE.ended) {
+    toast("Keys can be changed between runs");
+    return;
+  }
+  if (STATE.editor.active) closeEditor();
+  closeSettingsPanels();
+  if (!el.resultsPanel.hidden || !el.failPanel.hidden) closeResults();
+  syncKeyPanel();
+  el.keyPanel.hidden = false;
+}
+
+function closeKeyPanel() {
+  STATE.keyListen = null;
+  el.keyPanel.hidden = true;
+}
+
+function countPress(kind) {
+  const slot = kind === "touch" ? "mouse" : kind;
+  if (slot in STATE.pressCounts) STATE.pressCounts[slot] += 1;
+  STATE.pressHeld.add(kind);
+}
+
+// K1 / K2 / M boxes in the bottom-right corner: lit while held, with press counts for the run
+function drawKeyOverlay() {
+  if (!STATE.keyOverlay || !STATE.running || STATE.editor.active) return;
+  const boxes = [
+    ["K1", "key", ["key"]],
+    ["K2", "key2", ["key2"]],
+    ["M", "mouse", ["mouse", "touch"]],
+  ];
+  const size = 38;
+  const gap = 6;
+  const x = cssW - size - 12;
+  let y = cssH - boxes.length * (size + gap) - 12;
+
+  ctx.save();
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  for (const [label, slot, kinds] of boxes) {
+    const down = kinds.some(k => STATE.pressHeld.has(k));
+    ctx.fillStyle = down ? "rgba(120,170,255,0.55)" : "rgba(0,0,0,0.35)";
+    ctx.strokeStyle = down ? "rgba(120,170,255,0.95)" : "rgba(255,255,255,0.25)";
+    ctx.lineWidth = 1.5;
+    ctx.fillRect(x, y, size, size);
+    ctx.strokeRect(x, y, size, size);
+    ctx.fillStyle = "rgba(255,255,255,0.92)";
+    ctx.font = "bold 12px ui-sans-serif, system-ui, sans-serif";
+    ctx.fillText(label, x + size / 2, y + size / 2 - 7);
+    ctx.font = "11px ui-monospace, monospace";
+    ctx.fillText(String(STATE.pressCounts[slot]), x + size / 2, y + size / 2 + 8);
+    y += size + gap;
+  }
+  ctx.restore();
+}
+
+function bindKeyControls() {
+  const saved = loadSavedKeys();
+  STATE.keys = saved.keys;
+  STATE.keyOverlay = saved.overlay;
+  STATE.pad.sensitivity = saved.padSensitivity;
+  el.btnKeys.addEventListener("click", () => (el.keyPanel.hidden ? openKeyPanel() : closeKeyPanel()));
+  el.keyClose.addEventListener("click", closeKeyPanel);
+  el.keyReset.addEventListener("click", () => {
+    STATE.keys = { ...CONFIG.KEYS };
+    STATE.keyListen = null;
+    saveKeys();
+    syncKeyPanel();
+  });
+  el.keyOverlayToggle.addEventListener("change", () => {
+    STATE.keyOverlay = el.keyOverlayToggle.checked;
+    saveKeys();
+  });
+  syncKeyPanel();
+}
+
+// ---------------------- Gamepad ----------------------
+/**
+ * Gamepad API, polled once per frame: the more deflected analog stick moves the cursor (speed grows
+ * with deflection, times the sensitivity set in the Keys panel), face / shoulder buttons press the
+ * two hit keys and Start pauses. Buttons go through the keyboard's "key" / "key2" kinds, so replays
+ * and the key overlay treat them like K1 / K2.
+ */
+const PAD_DEADZONE = 0.15;       // stick deflection ignored around the center
+const PAD_SPEED = 1.2;           // playfield widths per second at full deflection, sensitivity 1
+const PAD_MAX_STEP_MS = 50;      // longer frame gaps (tab in background) don't fling the cursor
+const PAD_SENSITIVITY_RANGE = [0.25, 3];
+// Standard mapping: A / X / LB / LT -> primary, B / Y / RB / RT -> secondary, Start -> pause
+const PAD_BUTTONS = { hit1: [0, 2, 4, 6], hit2: [1, 3, 5, 7], pause: [9] };
+
+function connectedPads() {
+  if (!navigator.getGamepads) return [];
+  return Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+}
+
+// Deflection of the more deflected stick, rescaled past the deadzone: { x, y } with length 0..1
+function padStick(pad) {
+  let best = { x: 0, y: 0, mag: 0 };
+  for (let i = 0; i + 1 < Math.min(pad.axes.length, 4); i += 2) {
+    const x = pad.axes[i], y = pad.axes[i + 1];
+    const mag = Math.hypot(x, y);
+    if (mag > best.mag) best = { x, y, mag };
+  }
+  if (best.mag <= PAD_DEADZONE) return { x: 0, y: 0 };
+  const scale = Math.min(1, (best.mag - PAD_DEADZONE) / (1 - PAD_DEADZONE)) / best.mag;
+  return { x: best.x * scale, y: best.y * scale };
+}
+
+function movePadCursor(stick, dtMs) {
+  if (STATE.replay.mode === "playing" || STATE.auto || STATE.editor.active) return;
+  const speed = PAD_SPEED * STATE.pad.sensitivity * playfieldLayout().width / 1000;
+  STATE.cursorX = clamp(STATE.cursorX + stick.x * speed * dtMs, 0, cssW);
+  STATE.cursorY = clamp(STATE.cursorY + stick.y * speed * dtMs, 0, cssH);
+  if (acceptsPlayerInput() && !STATE.paused) playerInput("move", STATE.cursorX, STATE.cursorY);
+}
+
+// Same rules as the bound keys (see the keydown handler)
+function padPress(action) {
+  noteActivity();
+  if (STATE.calibration && HIT_KEY_KINDS[action]) {
+    calibrationTap();
+  } else if (HIT_KEY_KINDS[action]) {
+    if (acceptsPlayerInput() && !STATE.paused) playerInput(HIT_KEY_KINDS[action], STATE.cursorX, STATE.cursorY);
+  } else if (action === "pause" && STATE.running && !STATE.ended) {
+    togglePause();
+  }
+}
+
+function padRelease(action) {
+  if (!HIT_KEY_KINDS[action] || STATE.editor.active || !acceptsPlayerInput()) return;
+  playerInput(`${HIT_KEY_KINDS[action]}up`, STATE.cursorX, STATE.cursorY);
+}
+
+function pollGamepads() {
+  const now = nowMs();
+  const dtMs = Math.min(PAD_MAX_STEP_MS, now - STATE.pad.lastMs);
+  STATE.pad.lastMs = now;
+
+  let stick = { x: 0, y: 0 };
+  for (const pad of connectedPads()) {
+    for (const [action, buttons] of Object.entries(PAD_BUTTONS)) {
+      const key = `${pad.index}:${action}`;
+      const down = buttons.some(b => pad.buttons[b] && pad.buttons[b].pressed);
+      const was = !!STATE.pad.down[key];
+      STATE.pad.down[key] = down;
+      if (down && !was) padPress(action);
+      else if (!down && was) padRelease(action);
+    }
+    const s = padStick(pad);
+    if (Math.hypot(s.x, s.y) > Math.hypot(stick.x, stick.y)) stick = s;
+  }
+  if (stick.x !== 0 || stick.y !== 0) movePadCursor(stick, dtMs);
+}
+
+function setPadSensitivity(value) {
+  const [lo, hi] = PAD_SENSITIVITY_RANGE;
+  STATE.pad.sensitivity = clamp(Number(value) || CONFIG.PAD_SENSITIVITY, lo, hi);
+  el.padSensitivity.value = String(STATE.pad.sensitivity);
+  el.padSensitivityLabel.textContent = fmtRate(STATE.pad.sensitivity);
+}
+
+function bindGamepadControls() {
+  window.addEventListener("gamepadconnected", (e) => toast(`Gamepad connected: ${e.gamepad.id}`));
+  window.addEventListener("gamepaddisconnected", (e) => {
+    for (const action of Object.keys(PAD_BUTTONS)) {
+      const key = `${e.gamepad.index}:${action}`;
+      if (STATE.pad.down[key]) padRelease(action);
+      delete STATE.pad.down[key];
+    }
+    toast("Gamepad disconnected");
+  });
+  setPadSensitivity(STATE.pad.sensitivity);
+  el.padSensitivity.addEventListener("input", () => {
+    setPadSensitivity(el.padSensitivity.value);
+    saveKeys();
+  });
+}
+
+// ---------------------- Offset Calibration ----------------------
+/**
+ * Two latency settings, kept in localStorage:
+ * - universal: how late (ms, real time) the player's input lands relative to the audio they hear —
+ *   headset and input lag. getSongTimeMs() subtracts it, so judging follows the music as heard.
+ * - visual: how late the screen shows frames; approach rings are drawn that far ahead.
+ * The Offset panel measures the universal offset: a metronome plays CAL_COUNT_IN + CAL_BEATS clicks
+ * and every tap on the last CAL_BEATS is compared with its nearest click on the audio clock.
+ */
+const OFFSETS_STORAGE_KEY = "bubble-rhythm.offsets";
+const CAL_BEAT_MS = 500;
+const CAL_COUNT_IN = 4;
+const CAL_BEATS = 16;
+const CAL_MAX_OFFSET_MS = 300;
+
+function loadSavedOffsets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(OFFSETS_STORAGE_KEY) || "{}");
+    const ms = v => (isFiniteNumber(v) ? clamp(Math.round(v), -CAL_MAX_OFFSET_MS, CAL_MAX_OFFSET_MS) : 0);
+    return { universalMs: ms(saved.universalMs), visualMs: ms(saved.visualMs) };
+  } catch (err) {
+    return { universalMs: 0, visualMs: 0 };
+  }
+}
+
+function saveOffsets() {
+  try {
+    localStorage.setItem(OFFSETS_STORAGE_KEY, JSON.stringify(STATE.offsets));
+  } catch (err) {
+    // storage unavailable: offsets last for this session only
+  }
+}
+
+function fmtOffset(ms) {
+  return `${ms > 0 ? "+" : ""}${ms.toFixed(1)}ms`;
+}
+
+function setOffset(key, value) {
+  const v = Number(value);
+  STATE.offsets[key] = isFiniteNumber(v) ? clamp(Math.round(v), -CAL_MAX_OFFSET_MS, CAL_MAX_OFFSET_MS) : 0;
+  saveOffsets();
+  syncCalPanel();
+}
+
+function syncCalPanel() {
+  el.calUniversal.value = String(STATE.offsets.universalMs);
+  el.calVisual.value = String(STATE.offsets.visualMs);
+}
+
+// One click at audio time `at` (s); accented on the count-in
+function scheduleClick(ctx, at, accent) {
+  const osc = ctx.createOscillator();
+  const gain = ctx.createGain();
+  osc.frequency.value = accent ? 1320 : 880;
+  gain.gain.setValueAtTime(0.0001, at);
+  gain.gain.exponentialRampToValueAtTime(0.5, at + 0.002);
+  gain.gain.exponentialRampToValueAtTime(0.0001, at + 0.05);
+  osc.connect(gain).connect(ctx.destination);
+  osc.start(at);
+  osc.stop(at + 0.06);
+  return osc;
+}
+
+function startCalibration() {
+  let ctx;
+  try {
+    ctx = ensureAudioContext();
+  } catch (err) {
+    toast(err.message);
+    return;
+  }
+  stopCalibration();
+  ctx.resume();
+  const startMs = (ctx.currentTime + 0.4) * 1000;
+  const clicks = [];
+  for (let i = 0; i < CAL_COUNT_IN + CAL_BEATS; i++) {
+    clicks.push(scheduleClick(ctx, (startMs + i * CAL_BEAT_MS) / 1000, i < CAL_COUNT_IN));
+  }
+  STATE.calibration = { ctx, startMs, clicks, errors: [] };
+  el.calApply.disabled = true;
+  el.calApply.dataset.offset = "";
+  el.calPad.focus();
+}
+
+function stopCalibration() {
+  const cal = STATE.calibration;
+  if (!cal) return;
+  for (const osc of cal.clicks) {
+    try {
+      osc.stop();
+    } catch (err) {
+      // already stopped
+    }
+  }
+  STATE.calibration = null;
+}
+
+// Audio-clock time of the tap against the nearest counted click; off-beat taps are ignored
+function calibrationTap() {
+  const cal = STATE.calibration;
+  const rel = cal.ctx.currentTime * 1000 - cal.startMs;
+  const beat = Math.round(rel / CAL_BEAT_MS);
+  const error = rel - beat * CAL_BEAT_MS;
+  if (beat < CAL_COUNT_IN || beat >= CAL_COUNT_IN + CAL_BEATS || Math.abs(error) > CAL_BEAT_MS / 2) return;
+  cal.errors.push(error);
+}
+
+// Mean and standard deviation of the tap errors
+function calibrationStats(errors) {
+  const mean = errors.reduce((a, b) => a + b, 0) / errors.length;
+  const variance = errors.reduce((a, e) => a + (e - mean) * (e - mean), 0) / errors.length;
+  return { mean, sd: Math.sqrt(variance) };
+}
+
+function updateCalibration() {
+  const cal = STATE.calibration;
+  const beat = Math.floor((cal.ctx.currentTime * 1000 - cal.startMs) / CAL_BEAT_MS);
+  if (beat < CAL_BEATS + CAL_COUNT_IN) {
+    el.calStatus.textContent = beat < CAL_COUNT_IN
+      ? `Count-in ${Math.max(0, beat) + 1} / ${CAL_COUNT_IN}…`
+      : `Tap! ${beat - CAL_COUNT_IN + 1} / ${CAL_BEATS} • ${cal.errors.length} taps`;
+    return;
+  }
+  if (beat < CAL_BEATS + CAL_COUNT_IN + 1) return; // late taps on the last click still count
+
+  const errors = cal.errors;
+  STATE.calibration = null;
+  if (errors.length < CAL_BEATS / 2) {
+    el.calStatus.textContent = `Only ${errors.length} taps on the beat — try again`;
+    return;
+  }
+  const { mean, sd } = calibrationStats(errors);
+  const suggested = clamp(Math.round(mean), -CAL_MAX_OFFSET_MS, CAL_MAX_OFFSET_MS);
+  const steady = sd <= 35 ? "" : " • taps were unsteady, consider another run";
+  el.calStatus.textContent =
+    `Mean ${fmtOffset(mean)} (${mean >= 0 ? "late" : "early"}) • SD ${sd.toFixed(1)}ms over ${errors.length} taps → ${suggested}ms${steady}`;
+  el.calApply.disabled = false;
+  el.calApply.dataset.offset = String(suggested);
+}
+
+function openCalPanel() {
+  if (STATE.running && !STATE.ended) {
+    toast("Offsets can be changed between runs");
+    return;
+  }
+  if (STATE.editor.active) closeEditor();
+  closeSettingsPanels();
+  if (!el.resultsPanel.hidden || !el.failPanel.hidden) closeResults();
+  if (STATE.running) resetGameState(); // its song clock would run against the metronome
+  syncCalPanel();
+  el.calStatus.textContent = `Press Start, then tap every click after the ${CAL_COUNT_IN} count-in clicks.`;
+  el.calApply.disabled = true;
+  el.calPanel.hidden = false;
+}
+
+function closeCalPanel() {
+  stopCalibration();
+  el.calPanel.hidden = true;
+}
+
+function bindCalibrationControls() {
+  STATE.offsets = loadSavedOffsets();
+  el.btnOffset.addEventListener("click", () => (el.calPanel.hidden ? openCalPanel() : closeCalPanel()));
+  el.calClose.addEventListener("click", closeCalPanel);
+  el.calStart.addEventListener("click", startCalibration);
+  el.calPad.addEventListener("pointerdown", (e) => {
+    if (STATE.calibration) calibrationTap();
+    e.preventDefault();
+  });
+  el.calApply.addEventListener("click", () => {
+    setOffset("universalMs", el.calApply.dataset.offset);
+    toast(`Universal offset ${STATE.offsets.universalMs}ms`);
+  });
+  el.calUniversal.addEventListener("change", () => setOffset("universalMs", el.calUniversal.value));
+  el.calVisual.addEventListener("change", () => setOffset("visualMs", el.calVisual.value));
+}
+
+// ---------------------- Mods ----------------------
+/**
+ * Mod selection (engine.js MODS): toggled in the Mods panel between runs and kept in localStorage.
+ * The run's mods are fixed when it starts; replays carry their own.
+ */
+const MODS_STORAGE_KEY = "bubble-rhythm.mods";
+
+function loadSavedMods() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(MODS_STORAGE_KEY) || "[]");
+    return Array.isArray(saved) ? normalizeMods(saved) : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function saveMods() {
+  try {
+    localStorage.setItem(MODS_STORAGE_KEY, JSON.stringify(STATE.mods));
+  } catch (err) {
+    // storage unavailable (private mode, file://): selection just won't persist
+  }
+}
+
+function modsLabel(mods) {
+  return mods.length ? mods.join("") : "None";
+}
+
+function toggleMod(id) {
+  const on = STATE.mods.includes(id);
+  STATE.mods = normalizeMods(on ? STATE.mods.filter(m => m !== id) : [...STATE.mods, id]);
+  saveMods();
+  syncModPanel();
+  syncChartRating();
+  updateHud(0);
+}
+
+function fmtDiff(v) { return String(+v.toFixed(1)); }
+
+function syncModPanel() {
+  for (const btn of el.modGrid.querySelectorAll("button")) {
+    btn.classList.toggle("on", STATE.mods.includes(btn.dataset.mod));
+  }
+  const { base, effective } = resolveDifficulty(STATE.beatmap, STATE.mods);
+  const diff = ["ar", "od", "cs", "hp"].map((k) => {
+    const label = k.toUpperCase();
+    return base[k] === effective[k] ? `${label} ${fmtDiff(base[k])}` : `${label} ${fmtDiff(base[k])} → ${fmtDiff(effective[k])}`;
+  });
+  const rate = modRate(STATE.mods);
+  if (rate !== 1) diff.push(`Speed ${fmtRate(rate)}`);
+  el.modDiff.textContent = diff.join(" • ");
+  el.modMult.textContent = `Score ×${modScoreMultiplier(STATE.mods).toFixed(2)}`;
+  syncScoringControls();
+}
+
+function openModPanel() {
+  if (STATE.running && !STATE.ended) {
+    toast("Mods can be changed between runs");
+    return;
+  }
+  if (STATE.editor.active) closeEditor();
+  closeSettingsPanels();
+  if (!el.resultsPanel.hidden || !el.failPanel.hidden) closeResults();
+  syncModPanel();
+  el.modPanel.hidden = false;
+}
+
+function closeModPanel() {
+  el.modPanel.hidden = true;
+}
+
+function bindModControls() {
+  for (const [id, mod] of Object.entries(MODS)) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.dataset.mod = id;
+    btn.title = `${mod.name} (score ×${mod.multiplier})`;
+    btn.innerHTML = `<b>${id}</b> ${mod.name} <span class="small">×${mod.multiplier.toFixed(2)}</span>`;
+    btn.addEventListener("click", () => toggleMod(id));
+    el.modGrid.appendChild(btn);
+  }
+  el.btnMods.addEventListener("click", () => (el.modPanel.hidden ? openModPanel() : closeModPanel()));
+  el.modClose.addEventListener("click", closeModPanel);
+  STATE.mods = loadSavedMods();
+  syncChartRating();
+}
+
+// ---------------------- Scoring ----------------------
+/**
+ * Scoring model (engine.js SCORING_MODELS) for the next run: picked in the Mods panel, kept in
+ * localStorage. Runs, replays and leaderboard entries keep the model they were scored with.
+ */
+const SCORING_STORAGE_KEY = "bubble-rhythm.scoring";
+
+function loadSavedScoring() {
+  try {
+    const saved = localStorage.getItem(SCORING_STORAGE_KEY);
+    return SCORING_MODELS[saved] ? saved : DEFAULT_SCORING;
+  } catch (err) {
+    return DEFAULT_SCORING;
+  }
+}
+
+function saveScoring() {
+  try {
+    localStorage.setItem(SCORING_STORAGE_KEY, STATE.scoring);
+  } catch (err) {
+    // storage unavailable: the choice lasts for this session
+  }
+}
+
+// "SS 100% • S 90%, no misses • ..." (of accuracy, or of a perfect run for normalized scoring)
+function gradeThresholds(model) {
+  return model.grades.map(g => `${g.grade} ${Math.round(g.min * 100)}%${g.noMiss ? ", no misses" : ""}`).join(" • ");
+}
+
+function syncScoringControls() {
+  const model = SCORING_MODELS[STATE.scoring];
+  el.modScoring.value = STATE.scoring;
+  el.modScoringInfo.textContent = `${model.description}. Grades: ${gradeThresholds(model)}`;
+}
+
+function setScoring(id) {
+  if (!SCORING_MODELS[id]) return;
+  STATE.scoring = id;
+  saveScoring();
+  syncScoringControls();
+  if (!el.scorePanel.hidden) renderScoreTable();
+}
+
+function bindScoringControls() {
+  for (const [id, model] of Object.entries(SCORING_MODELS)) {
+    const opt = document.createElement("option");
+    opt.value = id;
+    opt.textContent = model.name;
+    el.modScoring.appendChild(opt);
+  }
+  el.modScoring.addEventListener("change", () => setScoring(el.modScoring.value));
+  STATE.scoring = loadSavedScoring();
+  syncScoringControls();
+}
+
+// ---------------------- Beatmap Import / Export ----------------------
+// "12 circles, 3 sliders, 1 spinner" for an import toast (types with no notes are left out)
+function noteCountLabel(notes) {
+  const counts = { circle: 0, slider: 0, spinner: 0 };
+  for (const n of notes) counts[n.type || "circle"]++;
+  return Object.entries(counts)
+    .filter(([, n]) => n > 0)
+    .map(([type, n]) => `${n} ${type}${n === 1 ? "" : "s"}`)
+    .join(", ") || "0 notes";
+}
+
+async function loadBeatmapFile(file) {
+  try {
+    const text = await file.text();
+    if (/\.osu$/i.test(file.name) || isOsuText(text)) {
+      const { beatmap, warnings } = parseOsu(text);
+      loadBeatmap(beatmap);
+      resetGameState();
+      if (warnings.length) toast([`Imported ${noteCountLabel(beatmap.notes)}`, ...warnings, lintNote()].filter(Boolean).join(" • "));
+      return;
+    }
+    const obj = parseJsonText(text);
+    if (obj && obj.format === REPLAY_FORMAT) {
+      playReplay(parseReplayObject(obj));
+      return;
+    }
+    // Pattern descriptions go through the file format too, so difficulty / timing get the usual checks
+    const chart = isPatternChart(obj) ? JSON.parse(beatmapToJson(buildChart(obj))) : obj;
+    loadBeatmap(parseBeatmapObject(chart), chart);
+    resetGameState();
+  } catch (err) {
+    toast(`Load failed (${file.name}): ${err.message}`);
+  }
+}
+
+function isAudioFile(file) {
+  return file.type.startsWith("audio/") || /\.(mp3|ogg|oga|wav|flac|m4a|aac|opus)$/i.test(file.name);
+}
+
+function downloadText(filename, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+function fileSlug(title) {
+  return title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "beatmap";
+}
+
+function exportBeatmap() {
+  if (!STATE.beatmap) return;
+  downloadText(`${fileSlug(STATE.beatmap.title)}.json`, beatmapToJson(STATE.beatmap), "application/json");
+  toast(`Exported: ${STATE.beatmap.title}`);
+}
+
+function bindBeatmapDrop() {
+  const stage = canvas.parentElement;
+
+  stage.addEventListener("dragover", (e) => {
+    if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes("Files")) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    stage.classList.add("dropping");
+  });
+
+  stage.addEventListener("dragleave", (e) => {
+    if (e.target === stage || !stage.contains(e.relatedTarget)) stage.classList.remove("dropping");
+  });
+
+  stage.addEventListener("drop", (e) => {
+    e.preventDefault();
+    stage.classList.remove("dropping");
+    const file = e.dataTransfer.files[0];
+    if (!file) return;
+    if (isAudioFile(file)) loadAudioFile(file);
+    else loadBeatmapFile(file);
+  });
+}
+
+// ---------------------- Chart Check ----------------------
+/**
+ * lint.js runs on every load (see loadBeatmap); the panel lists its errors and warnings. In the editor
+ * it checks the chart being edited (notes in play order) and a click on an issue jumps to its note.
+ */
+function lintNote() {
+  return STATE.lint.length ? `Check: ${lintSummary(STATE.lint)}` : "";
+}
+
+function showLintNote(index) {
+  const note = STATE.beatmap.notes[index];
+  if (!note) return;
+  closeLintPanel();
+  STATE.editor.selection.clear();
+  STATE.editor.selection.add(note);
+  setEditorTime(note.tMs);
+  syncEditorHitsound();
+}
+
+function syncLintPanel() {
+  const issues = STATE.lint;
+  const editing = STATE.editor.active;
+  el.lintInfo.textContent = lintSummary(issues);
+
+  el.lintList.innerHTML = "";
+  for (const item of issues) {
+    const row = document.createElement(editing && item.notes.length ? "button" : "div");
+    row.className = `lintRow ${item.level}`;
+    if (row.tagName === "BUTTON") {
+      row.type = "button";
+      row.title = `Jump to note ${item.notes[0]}`;
+      row.addEventListener("click", () => showLintNote(item.notes[0]));
+    }
+    const level = document.createElement("b");
+    level.textContent = item.level;
+    const text = document.createElement("span");
+    text.textContent = item.message;
+    row.append(level, text);
+    el.lintList.appendChild(row);
+  }
+}
+
+function openLintPanel() {
+  if (STATE.running && !STATE.ended) {
+    toast("The chart can be checked between runs");
+    return;
+  }
+  closeSettingsPanels();
+  if (!el.resultsPanel.hidden || !el.failPanel.hidden) closeResults();
+  if (STATE.editor.active) STATE.lint = lintBeatmap(STATE.beatmap);
+  syncLintPanel();
+  el.lintPanel.hidden = false;
+}
+
+function closeLintPanel() {
+  el.lintPanel.hidden = true;
+}
+
+function bindLintControls() {
+  el.btnCheck.addEventListener("click", () => (el.lintPanel.hidden ? openLintPanel() : closeLintPanel()));
+  el.lintClose.addEventListener("click", closeLintPanel);
+}
+
+// ---------------------- Editor ----------------------
+/**
+ * Chart editor:
+ * - timeline scrub (range input, mouse wheel, click the beat strip)
+ * - BPM/offset grid with 1/1, 1/2, 1/4 snapping
+ * - click empty space to place, drag to move, Shift+click to multi-select
+ * - Ctrl+C / Ctrl+V, Delete, "Chord" puts the selection on the playhead time
+ * - "Slider" joins the selected notes into one slider through them (in time order)
+ * Edits go straight into STATE.beatmap.notes and render through drawNote(),
+ * so the editor shows exactly what gameplay will.
+ */
+const EDITOR_DEFAULT_BPM = 120;
+const EDITOR_STRIP_H = 46;         // beat strip at the bottom of the canvas
+const EDITOR_STRIP_SPAN_MS = 2400; // strip shows playhead +/- this
+
+function editorBeatMs() {
+  return 60000 / (STATE.beatmap.bpm || EDITOR_DEFAULT_BPM);
+}
+
+function editorSnapMs() {
+  return editorBeatMs() / STATE.editor.snap;
+}
+
+function snapTime(ms) {
+  const offset = STATE.beatmap.offsetMs || 0;
+  const step = editorSnapMs();
+  return Math.max(0, Math.round(offset + Math.round((ms - offset) / step) * step));
+}
+
+function isNoteVisibleAt(n, currentMs) {
+  return currentMs >= n.tMs - STATE.game.timing.PREEMPT_MS &&
+    currentMs <= n.endMs + STATE.game.timing.HIT_WINDOW_MS + STATE.game.timing.AFTER_MS;
+}
+
+function noteEndMs(n) {
+  return n.endMs === undefined ? n.tMs : n.endMs;
+}
+
+// Copy of a beatmap note shifted to start at tMs (slider/spinner end and slider path come along)
+function cloneNoteDef(n, tMs) {
+  const copy = { ...n, tMs };
+  if (n.endMs !== undefined) copy.endMs = n.endMs + (tMs - n.tMs);
+  if (n.type === "slider") copy.path = { curve: n.path.curve, points: n.path.points.map(p => ({ ...p })) };
+  return copy;
+}
+
+function openEditor() {
+  if (STATE.running) resetGameState();
+  closeSettingsPanels();
+  STATE.editor.active = true;
+  STATE.editor.drag = null;
+  el.app.classList.add("editing");
+  el.editorBar.hidden = false;
+  el.btnEditor.textContent = "Exit editor";
+  showPrompt(false);
+  resizeCanvas();
+  syncEditorControls();
+}
+
+function closeEditor() {
+  STATE.editor.active = false;
+  STATE.editor.drag = null;
+  el.app.classList.remove("editing");
+  el.editorBar.hidden = true;
+  el.btnEditor.textContent = "Editor";
+  resizeCanvas();
+  resetGameState();
+}
+
+function toggleEditor() {
+  if (STATE.editor.active) closeEditor();
+  else openEditor();
+}
+
+function syncEditorControls() {
+  const bm = STATE.beatmap;
+  el.edTimeline.max = String(Math.ceil(bm.durationMs));
+  el.edBpm.value = String(+(bm.bpm || EDITOR_DEFAULT_BPM).toFixed(3));
+  el.edOffset.value = String(bm.offsetMs || 0);
+  el.edSnap.value = String(STATE.editor.snap);
+  syncEditorHitsound();
+  const difficulty = bm.difficulty || {};
+  el.edAr.value = difficulty.ar === undefined ? "" : String(difficulty.ar);
+  el.edOd.value = difficulty.od === undefined ? "" : String(difficulty.od);
+  el.edCs.value = difficulty.cs === undefined ? "" : String(difficulty.cs);
+  el.edHp.value = difficulty.hp === undefined ? "" : String(difficulty.hp);
+  setEditorTime(STATE.editor.timeMs);
+}
+
+function setEditorTime(ms) {
+  const t = clamp(ms, 0, STATE.beatmap.durationMs);
+  STATE.editor.timeMs = t;
+  el.edTimeline.value = String(Math.round(t));
+  el.edTime.textContent = fmtSec(t);
+}
+
+// Hitsound of the selection ("" when it's empty or mixed)
+function syncEditorHitsound() {
+  const sounds = new Set(Array.from(STATE.editor.selection, n => n.hitsound || "normal"));
+  el.edHitsound.value = sounds.size === 1 ? [...sounds][0] : "";
+  el.edHitsound.disabled = STATE.editor.selection.size === 0;
+}
+
+function editorSetHitsound(sound) {
+  const ed = STATE.editor;
+  if (!sound || ed.selection.size === 0) return;
+  for (const n of ed.selection) {
+    if (sound === "normal") delete n.hitsound;
+    else n.hitsound = sound;
+  }
+  commitEditorChanges();
+  playSound(sound);
+}
+
+// Call after any change to note data or anything the runtime notes are built from
+function commitEditorChanges() {
+  const bm = STATE.beatmap;
+  bm.notes.sort((a, b) => a.tMs - b.tMs);
+  const last = bm.notes.reduce((m, n) => Math.max(m, noteEndMs(n)), 0);
+  bm.durationMs = Math.max(bm.durationMs, last + 1200);
+  rebuildRuntimeNotes();
+  syncEditorControls();
+}
+
+// Note under the cursor at the playhead: closest in time first, then nearest center
+function editorNoteAt(x, y) {
+  const currentMs = STATE.editor.timeMs;
+  let best = null;
+  STATE.game.notes.forEach((n, i) => {
+    if (!isNoteVisibleAt(n, currentMs)) return;
+    const d2 = dist2(x, y, n.x, n.y);
+    if (d2 > n.r * n.r) return;
+    const dt = Math.abs(n.tMs - currentMs);
+    if (!best || dt < best.dt || (dt === best.dt && d2 < best.d2)) best = { i, dt, d2 };
+  });
+  return best ? STATE.beatmap.notes[best.i] : null;
+}
+
+function editorPointerDown(x, y, additive) {
+  const ed = STATE.editor;
+
+  // Beat strip: seek
+  if (y >= cssH - EDITOR_STRIP_H) {
+    const pxPerMs = (cssW / 2) / EDITOR_STRIP_SPAN_MS;
+    setEditorTime(snapTime(ed.timeMs + (x - cssW / 2) / pxPerMs));
+    return;
+  }
+
+  let note = editorNoteAt(x, y);
+  if (note && additive) {
+    if (ed.selection.has(note)) {
+      ed.selection.delete(note);
+      return;
+    }
+    ed.selection.add(note);
+  } else if (note) {
+    if (!ed.selection.has(note)) {
+      ed.selection.clear();
+      ed.selection.add(note);
+    }
+  } else {
+    if (additive) return;
+    const pos = pixelToNormalized(x, y);
+    note = { tMs: snapTime(ed.timeMs), xN: pos.xN, yN: pos.yN };
+    STATE.beatmap.notes.push(note);
+    ed.selection.clear();
+    ed.selection.add(note);
+    commitEditorChanges();
+  }
+
+  const start = pixelToNormalized(x, y);
+  const origin = new Map();
+  for (const n of ed.selection) {
+    if (n.type === "spinner") continue; // pinned to the centre
+    origin.set(n, { xN: n.xN, yN: n.yN, points: n.type === "slider" ? n.path.points.map(p => ({ ...p })) : null });
+  }
+  ed.drag = { startXN: start.xN, startYN: start.yN, origin };
+}
+
+function editorPointerMove(x, y) {
+  const drag = STATE.editor.drag;
+  if (!drag) return;
+  const p = pixelToNormalized(x, y);
+  const dx = p.xN - drag.startXN;
+  const dy = p.yN - drag.startYN;
+  for (const [n, o] of drag.origin) {
+    n.xN = clamp(o.xN + dx, 0, 1);
+    n.yN = clamp(o.yN + dy, 0, 1);
+    if (o.points) {
+      n.path.points = o.points.map(p => ({ xN: clamp(p.xN + dx, 0, 1), yN: clamp(p.yN + dy, 0, 1) }));
+    }
+  }
+  rebuildRuntimeNotes();
+}
+
+function editorPointerUp() {
+  STATE.editor.drag = null;
+}
+
+function editorCopy() {
+  const sel = Array.from(STATE.editor.selection);
+  if (sel.length === 0) return;
+  const base = Math.min(...sel.map(n => n.tMs));
+  STATE.editor.clipboard = sel.map(n => cloneNoteDef(n, n.tMs - base));
+  toast(`Copied ${sel.length} note${sel.length === 1 ? "" : "s"}`);
+}
+
+function editorPaste() {
+  const ed = STATE.editor;
+  if (ed.clipboard.length === 0) return;
+  const at = snapTime(ed.timeMs);
+  const pasted = ed.clipboard.map(n => cloneNoteDef(n, at + n.tMs));
+  STATE.beatmap.notes.push(...pasted);
+  ed.selection = new Set(pasted);
+  commitEditorChanges();
+  toast(`Pasted ${pasted.length} at ${fmtSec(at)}`);
+}
+
+function editorDelete() {
+  const ed = STATE.editor;
+  if (ed.selection.size === 0) return;
+  STATE.beatmap.notes = STATE.beatmap.notes.filter(n => !ed.selection.has(n));
+  ed.selection.clear();
+  commitEditorChanges();
+}
+
+// Put every selected note on the (snapped) playhead time
+function editorMakeChord() {
+  const ed = STATE.editor;
+  if (ed.selection.size < 2) {
+    toast("Select 2+ notes (Shift+click) to make a chord");
+    return;
+  }
+  const at = snapTime(ed.timeMs);
+  for (const n of ed.selection) {
+    if (n.endMs !== undefined) n.endMs += at - n.tMs;
+    n.tMs = at;
+  }
+  commitEditorChanges();
+  toast(`Chord of ${ed.selection.size} at ${fmtSec(at)}`);
+}
+
+// Replace the selected circles with one slider: head at the earliest, path through the rest, ends at the latest
+function editorMakeSlider() {
+  const ed = STATE.editor;
+  const sel = Array.from(ed.selection).filter(n => n.type === undefined).sort((a, b) => a.tMs - b.tMs);
+  if (sel.length < 2 || sel[sel.length - 1].tMs <= sel[0].tMs) {
+    toast("Select 2+ circles at different times to make a slider");
+    return;
+  }
+  const head = sel[0];
+  const rest = sel.slice(1);
+  const slider = {
+    type: "slider",
+    tMs: head.tMs,
+    endMs: rest[rest.length - 1].tMs,
+    xN: head.xN,
+    yN: head.yN,
+    path: {
+      curve: rest.length === 1 ? "linear" : rest.length === 2 ? "arc" : "bezier",
+      points: rest.map(n => ({ xN: n.xN, yN: n.yN })),
+    },
+  };
+  if (head.rN !== undefined) slider.rN = head.rN;
+  if (head.hitsound) slider.hitsound = head.hitsound;
+
+  const drop = new Set(sel);
+  STATE.beatmap.notes = STATE.beatmap.notes.filter(n => !drop.has(n));
+  STATE.beatmap.notes.push(slider);
+  ed.selection = new Set([slider]);
+  commitEditorChanges();
+  toast(`Slider ${fmtSec(slider.tMs)} → ${fmtSec(slider.endMs)}`);
+}
+
+function editorStep(dir, wholeBeat) {
+  const step = wholeBeat ? editorBeatMs() : editorSnapMs();
+  setEditorTime(snapTime(STATE.editor.timeMs + dir * step));
+}
+
+function isFormField(target) {
+  return target instanceof HTMLElement && target.matches("input, select, textarea, [contenteditable]");
+}
+
+function handleEditorKey(e) {
+  const mod = e.ctrlKey || e.metaKey;
+
+  if (mod && e.code === "KeyC") editorCopy();
+  else if (mod && e.code === "KeyV") editorPaste();
+  else if (e.code === "Delete" || e.code === "Backspace") editorDelete();
+  else if (e.code === "ArrowLeft") editorStep(-1, e.shiftKey);
+  else if (e.code === "ArrowRight") editorStep(1, e.shiftKey);
+  else if (e.code === "Escape") {
+    STATE.editor.selection.clear();
+    syncEditorHitsound();
+  } else return;
+
+  e.preventDefault();
+}
+
+function bindEditorControls() {
+  el.btnEditor.addEventListener("click", toggleEditor);
+  el.edTest.addEventListener("click", () => startGame(STATE.editor.timeMs));
+  el.edChord.addEventListener("click", editorMakeChord);
+  el.edSlider.addEventListener("click", editorMakeSlider);
+  el.edHitsound.addEventListener("change", () => editorSetHitsound(el.edHitsound.value));
+  el.edDelete.addEventListener("click", editorDelete);
+
+  el.edTimeline.addEventListener("input", () => setEditorTime(Number(el.edTimeline.value)));
+
+  el.edBpm.addEventListener("change", () => {
+    const bpm = Number(el.edBpm.value);
+    if (Number.isFinite(bpm) && bpm > 0) STATE.beatmap.bpm = bpm;
+    commitEditorChanges(); // sliders without tickMs tick once per beat
+  });
+  el.edOffset.addEventListener("change", () => {
+    const offset = Number(el.edOffset.value);
+    if (Number.isFinite(offset)) STATE.beatmap.offsetMs = offset;
+    commitEditorChanges();
+  });
+  el.edSnap.addEventListener("change", () => {
+    STATE.editor.snap = Number(el.edSnap.value);
+  });
+
+  // Difficulty: blank = engine default (see CONFIG / DEFAULT_DIFFICULTY)
+  const difficultyInputs = { ar: el.edAr, od: el.edOd, cs: el.edCs, hp: el.edHp };
+  for (const [key, input] of Object.entries(difficultyInputs)) {
+    input.placeholder = String(BubbleEngine.DEFAULT_DIFFICULTY[key]);
+    input.addEventListener("change", () => {
+      const bm = STATE.beatmap;
+      const difficulty = { ...bm.difficulty };
+      const value = Number(input.value);
+      if (input.value.trim() === "" || !Number.isFinite(value)) delete difficulty[key];
+      else difficulty[key] = clamp(value, 0, 10);
+      if (Object.keys(difficulty).length) bm.difficulty = difficulty;
+      else delete bm.difficulty;
+      commitEditorChanges();
+    });
+  }
+
+  canvas.addEventListener("wheel", (e) => {
+    if (!STATE.editor.active) return;
+    editorStep(Math.sign(e.deltaY), e.shiftKey);
+    e.preventDefault();
+  }, { passive: false });
+
+  window.addEventListener("mouseup", editorPointerUp);
+}
+
+function drawEditorOverlay(currentMs) {
+  // Selection rings around selected notes currently on screen
+  ctx.save();
+  ctx.strokeStyle = "rgba(120,170,255,0.95)";
+  ctx.lineWidth = 2;
+  ctx.setLineDash([5, 4]);
+  STATE.game.notes.forEach((n, i) => {
+    if (!STATE.editor.selection.has(STATE.beatmap.notes[i])) return;
+    if (!isNoteVisibleAt(n, currentMs)) return;
+    ctx.beginPath();
+    ctx.arc(n.x, n.y, n.r + 6, 0, Math.PI * 2);
+    ctx.stroke();
+  });
+  ctx.restore();
+
+  drawEditorStrip(currentMs);
+}
+
+// Beat grid around the playhead with note markers (chords stack vertically)
+function drawEditorStrip(currentMs) {
+  const top = cssH - EDITOR_STRIP_H;
+  const mid = cssW / 2;
+  const pxPerMs = mid / EDITOR_STRIP_SPAN_MS;
+  const xAt = (ms) => mid + (ms - currentMs) * pxPerMs;
+
+  ctx.save();
+  ctx.fillStyle = "rgba(0,0,0,0.45)";
+  ctx.fillRect(0, top, cssW, EDITOR_STRIP_H);
+
+  // Grid lines: whole beats tall, snap divisions short
+  const offset = STATE.beatmap.offsetMs || 0;
+  const step = editorSnapMs();
+  const from = Math.floor((currentMs - EDITOR_STRIP_SPAN_MS - offset) / step);
+  const to = Math.ceil((currentMs + EDITOR_STRIP_SPAN_MS - offset) / step);
+  for (let k = from; k <= to; k++) {
+    const x = xAt(offset + k * step);
+    const onBeat = k % STATE.editor.snap === 0;
+    ctx.strokeStyle = onBeat ? "rgba(255,255,255,0.45)" : "rgba(255,255,255,0.18)";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, onBeat ? top + 4 : top + 16);
+    ctx.lineTo(x, cssH - (onBeat ? 4 : 16));
+    ctx.stroke();
+  }
+
+  // Note markers (sliders and spinners get a bar to their end time)
+  let prevT = null, stack = 0;
+  STATE.beatmap.notes.forEach((n) => {
+    stack = n.tMs === prevT ? stack + 1 : 0;
+    prevT = n.tMs;
+    if (n.tMs - currentMs > EDITOR_STRIP_SPAN_MS || currentMs - noteEndMs(n) > EDITOR_STRIP_SPAN_MS) return;
+    ctx.fillStyle = STATE.editor.selection.has(n) ? "rgba(120,170,255,0.95)" : "rgba(255,255,255,0.75)";
+    if (n.endMs !== undefined) ctx.fillRect(xAt(n.tMs), top + 10.5 + (stack % 4) * 7, (n.endMs - n.tMs) * pxPerMs, 3);
+    ctx.beginPath();
+    ctx.arc(xAt(n.tMs), top + 12 + (stack % 4) * 7, 3.5, 0, Math.PI * 2);
+    ctx.fill();
+  });
+
+  // Playhead
+  ctx.strokeStyle = "rgba(255,120,120,0.95)";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(mid, top);
+  ctx.lineTo(mid, cssH);
+  ctx.stroke();
+  ctx.restore();
+}
+
+// ---------------------- Replays ----------------------
+/**
+ * Every live run records its inputs (cursor moves, presses, releases) stamped with song time.
+ * Playback feeds them back through the engine's input()/processAutoMisses() in order, which
+ * reproduces the run's score, combo and P/G/O/M exactly.
+ * Positions are stored in normalized playfield units so replays survive resizes.
+ */
+const REPLAY_FORMAT = "bubble-rhythm-replay";
+const REPLAY_VERSION = 5; // v2: releases (mouseup/touchend/keyup) for slider holds; v3: mods; v4: secondary key; v5: scoring
+const REPLAY_KINDS = ["move", "mouse", "touch", "key", "key2", "mouseup", "touchend", "keyup", "key2up"];
+
+function playfieldSize() {
+  const pf = playfieldRect();
+  return { w: Math.round(pf.right - pf.left), h: Math.round(pf.bottom - pf.top) };
+}
+
+function beginReplaySession(fromMs, replay) {
+  const r = STATE.replay;
+  r.mode = replay ? "playing" : "recording";
+  r.events = replay ? replay.events : [];
+  r.index = 0;
+  r.startMs = fromMs;
+  r.data = replay;
+  if (replay) STATE.rate = Number(el.replaySpeed.value) || 1;
+}
+
+function recordInput(kind, px, py, t) {
+  const r = STATE.replay;
+  if (r.mode !== "recording" || !STATE.running || STATE.ended) return;
+  const pf = playfieldRect();
+  r.events.push([
+    t,
+    kind,
+    (px - pf.left) / (pf.right - pf.left),
+    (py - pf.top) / (pf.bottom - pf.top),
+  ]);
+}
+
+function replayEventToPixel(ev) {
+  const pf = playfieldRect();
+  return { x: lerp(pf.left, pf.right, ev[2]), y: lerp(pf.top, pf.bottom, ev[3]) };
+}
+
+// Feed every recorded input up to song time t
+function feedReplay(t) {
+  const r = STATE.replay;
+  while (r.index < r.events.length && r.events[r.index][0] <= t) {
+    const ev = r.events[r.index++];
+    const p = replayEventToPixel(ev);
+    STATE.cursorX = p.x;
+    STATE.cursorY = p.y;
+    applyInput(ev[1], p.x, p.y, ev[0]);
+  }
+}
+
+function replayResult() {
+  const stats = STATE.game.stats;
+  return {
+    score: stats.score,
+    maxCombo: stats.maxCombo,
+    p: stats.p, g: stats.g, o: stats.o, m: stats.m,
+    failed: stats.failed,
+  };
+}
+
+// Called when a run reaches the end (or fails); returns a note for the finish / fail toast
+function finishReplaySession() {
+  const r = STATE.replay;
+  if (r.mode === "recording") {
+    r.last = {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      beatmap: { title: STATE.beatmap.title, hash: beatmapHash(STATE.beatmap) },
+      mods: STATE.game.mods,
+      scoring: STATE.game.scoring,
+      playfield: playfieldSize(),
+      recordedAt: new Date().toISOString(),
+      startMs: r.startMs,
+      events: r.events,
+      result: replayResult(),
+    };
+    el.btnReplaySave.disabled = false;
+    return "";
+  }
+  if (r.mode === "playing") {
+    const want = r.data.result;
+    const got = replayResult();
+    const same = Object.keys(want).every(k => want[k] === got[k]);
+    return same ? " • Replay verified" : " • Replay MISMATCH";
+  }
+  return "";
+}
+
+function parseReplayObject(obj) {
+  if (!obj || obj.format !== REPLAY_FORMAT) throw new Error("Not a replay file");
+  if (!Number.isInteger(obj.version) || obj.version > REPLAY_VERSION) throw new Error(`Unsupported replay version ${obj.version}`);
+  if (!obj.beatmap || typeof obj.beatmap.hash !== "string") throw new Error("Replay has no beatmap identity");
+  if (!Array.isArray(obj.events)) throw new Error("Replay has no events");
+  const mods = obj.mods === undefined ? [] : obj.mods;
+  if (!Array.isArray(mods) || mods.some(id => !MODS[id])) throw new Error("Replay has unknown mods");
+  const scoring = obj.scoring === undefined ? DEFAULT_SCORING : obj.scoring; // before v5: combo scoring
+  if (!SCORING_MODELS[scoring]) throw new Error(`Replay has an unknown scoring model "${scoring}"`);
+
+  let prevT = -Infinity;
+  obj.events.forEach((ev, i) => {
+    const ok = Array.isArray(ev) && isFiniteNumber(ev[0]) && REPLAY_KINDS.includes(ev[1]) &&
+      isFiniteNumber(ev[2]) && isFiniteNumber(ev[3]);
+    if (!ok) throw new Error(`Replay event ${i} is malformed`);
+    if (ev[0] < prevT) throw new Error(`Replay event ${i} is out of order`);
+    prevT = ev[0];
+  });
+
+  return {
+    ...obj,
+    startMs: isFiniteNumber(obj.startMs) ? obj.startMs : 0,
+    mods: normalizeMods(mods),
+    scoring,
+    result: obj.result || {},
+  };
+}
+
+function playReplay(replay) {
+  if (replay.beatmap.hash !== beatmapHash(STATE.beatmap)) {
+    throw new Error(`Replay is for "${replay.beatmap.title}" (${replay.beatmap.hash}); load that chart first`);
+  }
+  startGame(replay.startMs, replay);
+
+  // The playfield only scales uniformly now, so only a different shape (older stretched recordings) matters
+  const rec = replay.playfield;
+  const now = playfieldSize();
+  if (rec && Math.abs(rec.w / rec.h - now.w / now.h) > 0.01 * (now.w / now.h)) {
+    toast(`Replay • playfield ${now.w}x${now.h} differs in shape from recording (${rec.w}x${rec.h}); results may differ`);
+  }
+}
+
+async function loadReplayFile(file) {
+  try {
+    playReplay(parseReplayObject(parseJsonText(await file.text())));
+  } catch (err) {
+    toast(`Replay failed (${file.name}): ${err.message}`);
+  }
+}
+
+function saveReplay() {
+  const rec = STATE.replay.last;
+  if (!rec) return;
+  const stamp = rec.recordedAt.replace(/[:.]/g, "-");
+  downloadText(`${fileSlug(rec.beatmap.title)}-replay-${stamp}.json`, JSON.stringify(rec), "application/json");
+  toast(`Saved replay (${rec.events.length} inputs)`);
+}
+
+function drawReplayCursor(label) {
+  ctx.save();
+  ctx.globalAlpha = 0.95;
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = "rgba(255,220,140,0.95)";
+  ctx.beginPath();
+  ctx.arc(STATE.cursorX, STATE.cursorY, 9, 0, Math.PI * 2);
+  ctx.stroke();
+
+  ctx.font = "11px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace";
+  ctx.fillStyle = "rgba(255,220,140,0.95)";
+  ctx.textAlign = "left";
+  ctx.textBaseline = "middle";
+  ctx.fillText(label, STATE.cursorX + 14, STATE.cursorY);
+  ctx.restore();
+}
+
+function bindReplayControls() {
+  el.btnReplaySave.addEventListener("click", saveReplay);
+  el.btnReplayLoad.addEventListener("click", () => el.fileReplay.click());
+  el.fileReplay.addEventListener("change", () => {
+    const file = el.fileReplay.files[0];
+    el.fileReplay.value = "";
+    if (file) loadReplayFile(file);
+  });
+  el.replaySpeed.addEventListener("change", () => {
+    if (STATE.replay.mode === "playing") setSongRate(Number(el.replaySpeed.value) * modRate(STATE.game.mods));
+  });
+}
+
+// ---------------------- Init ----------------------
+function init() {
+  resizeCanvas();
+  loadBeatmap();
+  resetGameState();
+
+  // Ensure cursor has a valid default in center
+  STATE.cursorX = cssW * 0.5;
+  STATE.cursorY = cssH * 0.5;
+
+  el.btnStart.addEventListener("click", () => startGame());
+  el.btnRestart.addEventListener("click", restartGame);
+  el.btnPause.addEventListener("click", togglePause);
+  el.btnLoad.addEventListener("click", () => el.fileBeatmap.click());
+  el.btnExport.addEventListener("click", exportBeatmap);
+  el.fileBeatmap.addEventListener("change", () => {
+    const file = el.fileBeatmap.files[0];
+    el.fileBeatmap.value = ""; // allow re-selecting the same file
+    if (file) loadBeatmapFile(file);
+  });
+  el.btnAudio.addEventListener("click", () => el.fileAudio.click());
+  el.fileAudio.addEventListener("change", () => {
+    const file = el.fileAudio.files[0];
+    el.fileAudio.value = "";
+    if (file) loadAudioFile(file);
+  });
+  bindBeatmapDrop();
+  bindEditorControls();
+  bindReplayControls();
+  bindModControls();
+  bindScoringControls();
+  bindAutoplayControls();
+  bindResultsControls();
+  bindScoreControls();
+  bindKeyControls();
+  bindGamepadControls();
+  bindSkinControls();
+  bindSoundControls();
+  bindLintControls();
+  bindCalibrationControls();
+  bindPracticeControls();
+  STATE.idleSinceMs = nowMs();
 
   // Prevent context menu on canvas (optional)
   canvas.addEventListener("contextmenu", (e) => e.preventDefault());
@@ -0,0 +1,354 @@
+/**
+ * Bubble Rhythm — pattern generators
+ * - Parameterised, deterministic note patterns: wave, stream, zigzag, ring, star, lissajous, chord, slider, spinner
+ * - mirror / rotate transforms; optional seeded jitter (mulberry32) for reproducible variation
+ * - buildChart(spec): a small JSON chart description -> beatmap in the shape buildBeatmap() returns
+ * - No DOM: loads as a plain <script> (window.BubblePatterns) or from Node (require("./patterns.js"))
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.BubblePatterns = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // ---------------------- Chart Description ----------------------
+  /**
+   * {
+   *   format: "bubble-rhythm-patterns", version: 1,
+   *   title, bpm, offsetMs?,   // beat 0 is at offsetMs (default 0)
+   *   seed?,                   // drives `jitter`; same seed -> same chart
+   *   difficulty?, timing?, audio?, leadInMs?,  // copied onto the beatmap as-is
+   *   patterns: [{
+   *     type,                  // a PATTERNS key
+   *     beat,                  // start, in beats of the chart bpm
+   *     bpm?,                  // tempo of this pattern's spacing (default: chart bpm)
+   *     count?, spacing?,      // notes (or repeats) and beats between them
+   *     section?,              // starts a named section at this pattern
+   *     jitter?,               // max random offset per note (normalized units)
+   *     transforms?: [{ mirror: "x" | "y" | "xy", copy? }, { rotate: degrees, center?: [x, y] }],
+   *     ...shape parameters (see each generator; points are [xN, yN] pairs)
+   *   }]
+   * }
+   */
+  const PATTERN_FORMAT = "bubble-rhythm-patterns";
+  const PATTERN_VERSION = 1;
+  const EDGE = 0.04; // generated positions are kept this far inside the playfield
+
+  function isFiniteNumber(v) { return typeof v === "number" && Number.isFinite(v); }
+  function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+  function roundTo(v, factor) { return Math.round(v * factor) / factor; }
+  function toRad(deg) { return (deg * Math.PI) / 180; }
+
+  // Deterministic pseudo-random in [0, 1) from a 32-bit seed
+  function mulberry32(seed) {
+    return function () {
+      let t = (seed += 0x6D2B79F5);
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // ---------------------- Generators ----------------------
+  /**
+   * Each generator takes the pattern's parameters and returns shapes relative to its start:
+   * [{ beat, x, y }] for circles, plus { type: "slider", lengthBeats, curve, points, slides, ticks }
+   * or { type: "spinner", lengthBeats }. `beat` here is in pattern spacing units (i * spacing).
+   */
+  function point(p, fallback, what) {
+    const v = p === undefined ? fallback : p;
+    if (!Array.isArray(v) || v.length !== 2 || !isFiniteNumber(v[0]) || !isFiniteNumber(v[1])) {
+      throw new Error(`${what} must be an [x, y] pair`);
+    }
+    return { x: v[0], y: v[1] };
+  }
+
+  function num(v, fallback, what) {
+    if (v === undefined) return fallback;
+    if (!isFiniteNumber(v)) throw new Error(`${what} must be a number`);
+    return v;
+  }
+
+  function evenly(count, fn) {
+    const out = [];
+    for (let i = 0; i < count; i++) out.push(fn(i, count > 1 ? i / (count - 1) : 0));
+    return out;
+  }
+
+  // from -> to (or from + by) line with its unit normal (+ = downwards for a left-to-right line)
+  function line(p) {
+    const from = point(p.from, [0.12, 0.5], "from");
+    let by;
+    if (p.by !== undefined) by = point(p.by, undefined, "by");
+    else {
+      const to = point(p.to, [0.88, 0.5], "to");
+      by = { x: to.x - from.x, y: to.y - from.y };
+    }
+    const dx = by.x, dy = by.y;
+    const len = Math.hypot(dx, dy) || 1;
+    return { from, dx, dy, nx: -dy / len, ny: dx / len };
+  }
+
+  // Along the line, offset across it by `offset(i)`
+  function alongLine(p, count, spacing, offset) {
+    const { from, dx, dy, nx, ny } = line(p);
+    return evenly(count, (i, f) => {
+      const off = offset(i);
+      return { beat: i * spacing, x: from.x + dx * f + nx * off, y: from.y + dy * f + ny * off };
+    });
+  }
+
+  // Sine across the line: amplitude (normalized), frequency (radians per note), phase
+  function wave(p, count, spacing) {
+    const amplitude = num(p.amplitude, 0.2, "amplitude");
+    const frequency = num(p.frequency, 0.55, "frequency");
+    const phase = num(p.phase, 0, "phase");
+    return alongLine(p, count, spacing, i => amplitude * Math.sin(i * frequency + phase));
+  }
+
+  // Straight, evenly spaced run
+  function stream(p, count, spacing) {
+    return alongLine(p, count, spacing, () => 0);
+  }
+
+  // Alternating `width` across the line
+  function zigzag(p, count, spacing) {
+    const width = num(p.width, 0.16, "width");
+    return alongLine(p, count, spacing, i => (i % 2 === 0 ? -width : width) / 2);
+  }
+
+  // Around center: radius, start angle (deg, 0 = right, 90 = down), turn (deg covered by the count notes)
+  function ring(p, count, spacing) {
+    const c = point(p.center, [0.5, 0.52], "center");
+    const radius = num(p.radius, 0.25, "radius");
+    const angle = num(p.angle, -90, "angle");
+    const turn = num(p.turn, 360, "turn");
+    return evenly(count, (i) => {
+      const a = toRad(angle) + i * (toRad(turn) / count);
+      return { beat: i * spacing, x: c.x + radius * Math.cos(a), y: c.y + radius * Math.sin(a) };
+    });
+  }
+
+  // Star polygon: `points` vertices on a circle visited skipping one (5 -> pentagram), repeating
+  function star(p, count, spacing) {
+    const c = point(p.center, [0.5, 0.52], "center");
+    const radius = num(p.radius, 0.28, "radius");
+    const angle = num(p.angle, -90, "angle");
+    const points = num(p.points, 5, "points");
+    if (!Number.isInteger(points) || points < 5 || points % 2 === 0) throw new Error("points must be an odd number >= 5");
+    return evenly(count, (i) => {
+      const a = toRad(angle + (((i * 2) % points) * 360) / points);
+      return { beat: i * spacing, x: c.x + radius * Math.cos(a), y: c.y + radius * Math.sin(a) };
+    });
+  }
+
+  // Sine on x, cosine on y around center: amplitude, frequency (radians per note) and phase are [x, y]
+  // pairs; equal frequencies and no phase trace an ellipse
+  function lissajous(p, count, spacing) {
+    const c = point(p.center, [0.5, 0.5], "center");
+    const amplitude = point(p.amplitude, [0.25, 0.2], "amplitude");
+    const frequency = point(p.frequency, [0.5, 0.5], "frequency");
+    const phase = point(p.phase, [0, 0], "phase");
+    return evenly(count, i => ({
+      beat: i * spacing,
+      x: c.x + amplitude.x * Math.sin(i * frequency.x + phase.x),
+      y: c.y + amplitude.y * Math.cos(i * frequency.y + phase.y),
+    }));
+  }
+
+  // All `points` at once (default: four corners), `count` times
+  function chord(p, count, spacing) {
+    const pts = p.points === undefined
+      ? [[0.22, 0.3], [0.78, 0.3], [0.22, 0.74], [0.78, 0.74]]
+      : p.points;
+    if (!Array.isArray(pts) || pts.length === 0) throw new Error("points must be a list of [x, y] pairs");
+    const shape = pts.map((q, j) => point(q, undefined, `points[${j}]`));
+    const out = [];
+    for (let i = 0; i < count; i++) {
+      for (const q of shape) out.push({ beat: i * spacing, x: q.x, y: q.y });
+    }
+    return out;
+  }
+
+  // Head at `from`, path through `points` (curve as in beatmap files), `length` beats per slider, `count` sliders
+  function slider(p, count, spacing) {
+    const from = point(p.from, [0.3, 0.5], "from");
+    const curve = p.curve === undefined ? "linear" : p.curve;
+    if (!["linear", "bezier", "arc"].includes(curve)) throw new Error(`unknown curve "${curve}"`);
+    if (!Array.isArray(p.points) || p.points.length === 0) throw new Error("points must be a list of [x, y] pairs");
+    const points = p.points.map((q, j) => point(q, undefined, `points[${j}]`));
+    if (curve === "arc" && points.length !== 2) throw new Error("arc sliders take exactly 2 points");
+    const lengthBeats = num(p.length, 1, "length");
+    if (lengthBeats <= 0) throw new Error("length must be positive");
+    const slides = p.slides === undefined ? 1 : p.slides;
+    if (!Number.isInteger(slides) || slides < 1) throw new Error("slides must be a positive integer");
+    const ticks = num(p.ticks, 1, "ticks");
+    if (ticks <= 0) throw new Error("ticks must be positive");
+    const out = [];
+    for (let i = 0; i < count; i++) {
+      out.push({ type: "slider", beat: i * (lengthBeats + spacing), x: from.x, y: from.y, lengthBeats, curve, points, slides, ticks });
+    }
+    return out;
+  }
+
+  function spinner(p, count, spacing) {
+    const lengthBeats = num(p.length, 8, "length");
+    if (lengthBeats <= 0) throw new Error("length must be positive");
+    const out = [];
+    for (let i = 0; i < count; i++) {
+      out.push({ type: "spinner", beat: i * (lengthBeats + spacing), x: 0.5, y: 0.5, lengthBeats });
+    }
+    return out;
+  }
+
+  // type -> [generator, default count]
+  const PATTERNS = {
+    wave: [wave, 8],
+    stream: [stream, 8],
+    zigzag: [zigzag, 8],
+    ring: [ring, 8],
+    star: [star, 10],
+    lissajous: [lissajous, 8],
+    chord: [chord, 1],
+    slider: [slider, 1],
+    spinner: [spinner, 1],
+  };
+
+  // ---------------------- Transforms ----------------------
+  function mapPoints(shape, fn) {
+    const moved = { ...shape, ...fn(shape.x, shape.y) };
+    if (shape.points) moved.points = shape.points.map(q => fn(q.x, q.y));
+    return moved;
+  }
+
+  // mirror: "x" flips left <-> right, "y" top <-> bottom; copy keeps the original too (doubles)
+  // rotate: degrees clockwise around center (default the playfield centre)
+  function applyTransform(shapes, tf, where) {
+    if (!tf || typeof tf !== "object") throw new Error(`${where} must be an object`);
+    if (tf.mirror !== undefined) {
+      if (!["x", "y", "xy"].includes(tf.mirror)) throw new Error(`${where}: mirror must be "x", "y" or "xy"`);
+      const fx = tf.mirror.includes("x");
+      const fy = tf.mirror.includes("y");
+      const flipped = shapes.map(s => mapPoints(s, (x, y) => ({ x: fx ? 1 - x : x, y: fy ? 1 - y : y })));
+      return tf.copy ? shapes.concat(flipped) : flipped;
+    }
+    if (tf.rotate !== undefined) {
+      const a = toRad(num(tf.rotate, 0, `${where}: rotate`));
+      const c = point(tf.center, [0.5, 0.5], `${where}: center`);
+      const cos = Math.cos(a), sin = Math.sin(a);
+      return shapes.map(s => mapPoints(s, (x, y) => ({
+        x: c.x + (x - c.x) * cos - (y - c.y) * sin,
+        y: c.y + (x - c.x) * sin + (y - c.y) * cos,
+      })));
+    }
+    throw new Error(`${where}: unknown transform`);
+  }
+
+  // ---------------------- Chart Builder ----------------------
+  // Positions aren't rounded: charts keep their exact values, and with them their content hash
+  function posN(v) { return clamp(v, EDGE, 1 - EDGE); }
+  function timeMs(v) { return roundTo(v, 1e3); }
+
+  // Shapes of one pattern -> beatmap notes at absolute times
+  function patternNotes(shapes, startMs, beatMs) {
+    return shapes.map((s) => {
+      const tMs = timeMs(startMs + s.beat * beatMs);
+      if (s.type === "spinner") return { type: "spinner", tMs, endMs: timeMs(tMs + s.lengthBeats * beatMs), xN: 0.5, yN: 0.5 };
+      const note = { tMs, xN: posN(s.x), yN: posN(s.y) };
+      if (s.type === "slider") {
+        note.type = "slider";
+        note.endMs = timeMs(tMs + s.lengthBeats * beatMs);
+        note.path = { curve: s.curve, points: s.points.map(q => ({ xN: posN(q.x), yN: posN(q.y) })) };
+        if (s.slides > 1) note.slides = s.slides;
+        note.tickMs = timeMs(s.ticks * beatMs);
+      }
+      return note;
+    });
+  }
+
+  /**
+   * Build a beatmap from a chart description (format above). Throws Error naming the pattern on
+   * anything malformed. Output: { title, bpm, offsetMs, durationMs, sections, notes, ... }.
+   */
+  function buildChart(spec) {
+    if (!spec || typeof spec !== "object") throw new Error("Chart description must be an object");
+    if (spec.format !== undefined && spec.format !== PATTERN_FORMAT) throw new Error(`Not a pattern chart (format "${spec.format}")`);
+    if (spec.version !== undefined && (!Number.isInteger(spec.version) || spec.version > PATTERN_VERSION)) {
+      throw new Error(`Unsupported pattern chart version ${spec.version}`);
+    }
+    if (!isFiniteNumber(spec.bpm) || spec.bpm <= 0) throw new Error("bpm must be a positive number");
+    if (!Array.isArray(spec.patterns) || spec.patterns.length === 0) throw new Error("patterns must be a non-empty list");
+    const offsetMs = num(spec.offsetMs, 0, "offsetMs");
+    const seed = num(spec.seed, 0, "seed") >>> 0;
+    const chartBeatMs = 60000 / spec.bpm;
+
+    const notes = [];
+    const sections = [];
+    spec.patterns.forEach((p, i) => {
+      const where = `Pattern ${i}${p && p.type ? ` (${p.type})` : ""}`;
+      try {
+        if (!p || typeof p !== "object") throw new Error("must be an object");
+        if (!(p.type in PATTERNS)) throw new Error(`unknown type "${p.type}"`);
+        const [generate, defaultCount] = PATTERNS[p.type];
+        const beat = num(p.beat, NaN, "beat");
+        if (!isFiniteNumber(beat)) throw new Error("beat is required");
+        const bpm = num(p.bpm, spec.bpm, "bpm");
+        const count = p.count === undefined ? defaultCount : p.count;
+        if (!Number.isInteger(count) || count < 1) throw new Error("count must be a positive integer");
+        const spacing = num(p.spacing, 1, "spacing");
+        if (spacing < 0) throw new Error("spacing must not be negative");
+
+        let shapes = generate(p, count, spacing);
+        const jitter = num(p.jitter, 0, "jitter");
+        if (jitter > 0) {
+          // One stream per pattern index: editing one pattern leaves the others' variation alone
+          const rnd = mulberry32((seed + Math.imul(i + 1, 0x9E3779B9)) >>> 0);
+          shapes = shapes.map(s => (s.type === "spinner" ? s : { ...s, x: s.x + (rnd() * 2 - 1) * jitter, y: s.y + (rnd() * 2 - 1) * jitter }));
+        }
+        (p.transforms || []).forEach((tf, j) => {
+          shapes = applyTransform(shapes, tf, `transforms[${j}]`);
+        });
+
+        const startMs = offsetMs + beat * chartBeatMs;
+        if (p.section !== undefined) {
+          if (typeof p.section !== "string" || !p.section.trim()) throw new Error("section must be a name");
+          sections.push({ name: p.section.trim(), tMs: timeMs(startMs) });
+        }
+        notes.push(...patternNotes(shapes, startMs, 60000 / bpm));
+      } catch (err) {
+        throw new Error(`${where}: ${err.message}`);
+      }
+    });
+
+    // Sort by time (important for consistent evaluation / end condition)
+    notes.sort((a, b) => a.tMs - b.tMs);
+    sections.sort((a, b) => a.tMs - b.tMs);
+    const lastT = notes.reduce((m, n) => Math.max(m, n.endMs === undefined ? n.tMs : n.endMs), 0);
+
+    const chart = {
+      title: typeof spec.title === "string" && spec.title.trim() ? spec.title.trim() : "Untitled",
+      bpm: spec.bpm,
+      offsetMs,
+      durationMs: lastT + 1200,
+      sections,
+      notes,
+    };
+    for (const key of ["difficulty", "timing", "audio", "leadInMs"]) {
+      if (spec[key] !== undefined) chart[key] = spec[key];
+    }
+    return chart;
+  }
+
+  function isPatternChart(obj) {
+    return !!obj && obj.format === PATTERN_FORMAT;
+  }
+
+  return {
+    PATTERN_FORMAT,
+    PATTERN_VERSION,
+    PATTERNS,
+    mulberry32,
+    buildChart,
+    isPatternChart,
+  };
+});
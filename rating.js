@@ -0,0 +1,188 @@
+/**
+ * Bubble Rhythm — star rating
+ * - Aim and speed strain from the note sequence: distances (pixel and normalized), time gaps,
+ *   chord density and angle changes; combined into a star rating plus strain over time / per section
+ * - Works on a beatmap or a plain notes array (buildBeatmap().notes, parsed chart files)
+ * - No DOM: loads as a plain <script> (window.BubbleRating) or from Node (require("./rating.js"))
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./engine.js"));
+  else root.BubbleRating = factory(root.BubbleEngine);
+})(typeof self !== "undefined" ? self : this, function (Engine) {
+  "use strict";
+
+  // ---------------------- Tuning ----------------------
+  const RATING = {
+    STRAIN_WINDOW_MS: 400,   // strain peaks are taken per window of chart (real) time
+    MIN_GAP_MS: 37.5,        // shorter gaps (and chords) count as this, so nothing divides by ~0
+    CHORD_MS: 2,             // notes this close in time form one chord
+    CHORD_REACH_MS: 150,     // time a chord's spread has to be covered in (about the OK window)
+    AIM_DECAY: 0.15,         // strain left after one second
+    SPEED_DECAY: 0.3,
+    AIM_WEIGHT: 1,           // relative weight of the two skills
+    SPEED_WEIGHT: 1,
+    TRAVEL_WEIGHT: 2.5,      // aim per normalized screen distance / s, on top of jumps in bubble diameters
+    ANGLE_BONUS: 0.5,        // extra aim for turning back (180° turn) vs. continuing straight
+    CHORD_SPEED_BONUS: 0.5,  // extra taps per additional chord note
+    PEAK_DECAY: 0.9,         // weight of each next-highest strain peak
+    STAR_SCALE: 0.0675,
+  };
+
+  function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+
+  // ---------------------- Hit Objects ----------------------
+  /**
+   * Runtime notes (engine layout px, mods applied) grouped into chords. Each object:
+   * { tMs, x, y, endX, endY, xN, yN, size, spreadPx, spinner }
+   * end* is where the cursor leaves it (slider end), spreadPx the path through a chord's other notes.
+   */
+  function hitObjects(game) {
+    const notes = game.notes.slice().sort((a, b) => a.tMs - b.tMs || a.index - b.index);
+    const objects = [];
+    for (const n of notes) {
+      const prev = objects[objects.length - 1];
+      if (prev && !prev.spinner && n.kind !== "spinner" && n.tMs - prev.tMs <= RATING.CHORD_MS) {
+        prev.spreadPx += Math.hypot(n.x - prev.lastX, n.y - prev.lastY);
+        prev.lastX = n.x;
+        prev.lastY = n.y;
+        prev.size += 1;
+        continue;
+      }
+      const def = game.beatmap.notes[n.index];
+      const end = n.kind === "slider" ? Engine.sliderPositionAt(n, n.endMs) : n;
+      objects.push({
+        tMs: n.tMs,
+        x: n.x, y: n.y,
+        endX: end.x, endY: end.y,
+        lastX: n.x, lastY: n.y,
+        xN: def.xN, yN: def.yN,
+        size: 1,
+        spreadPx: 0,
+        travelPx: n.kind === "slider" ? n.path.length * n.slides : 0,
+        spinner: n.kind === "spinner",
+      });
+    }
+    return objects;
+  }
+
+  // Angle (radians, 0..PI) between a->b and b->c; PI = straight on, 0 = straight back
+  function angleAt(a, b, c) {
+    const ux = b.x - a.endX, uy = b.y - a.endY;
+    const vx = c.x - b.endX, vy = c.y - b.endY;
+    const lu = Math.hypot(ux, uy), lv = Math.hypot(vx, vy);
+    if (lu < 1e-6 || lv < 1e-6) return Math.PI;
+    return Math.PI - Math.acos(clamp((ux * vx + uy * vy) / (lu * lv), -1, 1));
+  }
+
+  // ---------------------- Strain ----------------------
+  /**
+   * Per object: { tMs, gapMs, distPx, distN, angle, aim, speed } with the decayed running strains.
+   * Jumps count in bubble diameters (smaller bubbles are harder to land on) plus normalized screen
+   * distance (arm travel, whatever the bubble size).
+   */
+  function strainSeries(objects, radius, rate) {
+    const diameter = 2 * radius;
+    const series = [];
+    let aim = 0;
+    let speed = 0;
+    for (let i = 0; i < objects.length; i++) {
+      const o = objects[i];
+      const prev = objects[i - 1];
+      if (!prev) {
+        series.push({ tMs: o.tMs, gapMs: 0, distPx: 0, distN: 0, angle: Math.PI, aim: 0, speed: 0 });
+        continue;
+      }
+      const gapMs = Math.max(RATING.MIN_GAP_MS, (o.tMs - prev.tMs) / rate);
+      const sec = gapMs / 1000;
+      aim *= Math.pow(RATING.AIM_DECAY, sec);
+      speed *= Math.pow(RATING.SPEED_DECAY, sec);
+
+      const distPx = prev.spinner || o.spinner ? 0 : Math.hypot(o.x - prev.endX, o.y - prev.endY);
+      const distN = prev.spinner || o.spinner ? 0 : Math.hypot(o.xN - prev.xN, o.yN - prev.yN);
+      const angle = i >= 2 && !objects[i - 2].spinner ? angleAt(objects[i - 2], prev, o) : Math.PI;
+      const jump = distPx / diameter;
+      const angleBonus = 1 + RATING.ANGLE_BONUS * (1 - angle / Math.PI) * clamp(jump - 0.5, 0, 1);
+      const chordAim = o.spreadPx / diameter / (RATING.CHORD_REACH_MS / rate / 1000);
+      const sliderAim = prev.travelPx / diameter / Math.max(sec, RATING.MIN_GAP_MS / 1000) * 0.5;
+
+      if (!o.spinner) {
+        const travel = RATING.TRAVEL_WEIGHT * distN / sec;
+        aim += RATING.AIM_WEIGHT * ((jump * angleBonus) / sec + travel + chordAim + sliderAim);
+        speed += RATING.SPEED_WEIGHT * (1 + RATING.CHORD_SPEED_BONUS * (o.size - 1)) / sec;
+      }
+      series.push({ tMs: o.tMs, gapMs, distPx, distN, angle, aim, speed });
+    }
+    return series;
+  }
+
+  // Highest running strain in each STRAIN_WINDOW_MS window (real time), from fromMs
+  function strainPeaks(series, key, fromMs, rate) {
+    const peaks = [];
+    for (const s of series) {
+      const w = Math.floor((s.tMs - fromMs) / rate / RATING.STRAIN_WINDOW_MS);
+      if (w < 0) continue;
+      while (peaks.length <= w) peaks.push(0);
+      peaks[w] = Math.max(peaks[w], s[key]);
+    }
+    return peaks;
+  }
+
+  // Weighted sum of peaks, highest first: sustained hard parts count more than one spike
+  function difficultyValue(peaks) {
+    let total = 0;
+    let weight = 1;
+    for (const p of peaks.slice().sort((a, b) => b - a)) {
+      total += p * weight;
+      weight *= RATING.PEAK_DECAY;
+    }
+    return total;
+  }
+
+  function combineStars(aimValue, speedValue) {
+    const aim = Math.sqrt(aimValue) * RATING.STAR_SCALE;
+    const speed = Math.sqrt(speedValue) * RATING.STAR_SCALE;
+    return { aim, speed, stars: aim + speed + Math.abs(aim - speed) / 2 };
+  }
+
+  // ---------------------- Rating ----------------------
+  /**
+   * Star rating of a beatmap (or plain notes array) under options.mods (DT/HT change the time
+   * gaps, CS / EZ / HR the bubble size). options.layout defaults to the engine's 512x384 field.
+   * Returns { stars, aim, speed, objects, strain: [{ tMs, aim, speed }], sections: [{ name, fromMs, toMs, stars, aim, speed }] };
+   * strain holds one peak per STRAIN_WINDOW_MS of real time, tMs in chart time.
+   */
+  function rateChart(chart, options = {}) {
+    const beatmap = Array.isArray(chart) ? { notes: chart } : chart;
+    const empty = { stars: 0, aim: 0, speed: 0, objects: 0, strain: [], sections: [] };
+    if (!beatmap.notes || beatmap.notes.length === 0) return empty;
+
+    const mods = Engine.normalizeMods(options.mods);
+    const rate = Engine.modRate(mods);
+    const layout = options.layout || Engine.DEFAULT_LAYOUT;
+    const game = Engine.createGame(beatmap, { layout, mods });
+    const radius = layout.radius * game.difficulty.radiusScale;
+    const objects = hitObjects(game);
+    const series = strainSeries(objects, radius, rate);
+
+    const fromMs = objects[0].tMs;
+    const aimPeaks = strainPeaks(series, "aim", fromMs, rate);
+    const speedPeaks = strainPeaks(series, "speed", fromMs, rate);
+    const total = combineStars(difficultyValue(aimPeaks), difficultyValue(speedPeaks));
+
+    const windowMs = RATING.STRAIN_WINDOW_MS * rate; // in chart time
+    const strain = aimPeaks.map((a, i) => ({ tMs: fromMs + i * windowMs, aim: a, speed: speedPeaks[i] || 0 }));
+
+    const sections = Engine.sectionSpans(beatmap).map((span) => {
+      const inside = strain.filter(s => s.tMs + windowMs > span.fromMs && s.tMs < span.toMs);
+      const part = combineStars(difficultyValue(inside.map(s => s.aim)), difficultyValue(inside.map(s => s.speed)));
+      return { ...span, ...part };
+    });
+
+    return { ...total, objects: objects.length, strain, sections };
+  }
+
+  return {
+    RATING,
+    rateChart,
+  };
+});
@@ -0,0 +1,282 @@
+/**
+ * Bubble Rhythm — skins
+ * - Versioned JSON skin format: bubble, judgment colours, approach ring, cursor + trail,
+ *   background image / dim and judgment popups; optional images by file name or URL
+ * - Built-in skins: default, high contrast, colour-blind safe (Okabe-Ito palette)
+ * - No DOM: loads as a plain <script> (window.BubbleSkin) or from Node (require("./skin.js"))
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.BubbleSkin = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // ---------------------- Skin Files (JSON) ----------------------
+  /**
+   * {
+   *   format: "bubble-rhythm-skin", version: 1,
+   *   name, author?,
+   *   bubble?:     { fill, stroke, strokeWidth, dot, image? },     // dot: aiming dot colour, null = none
+   *   judgments?:  { P, G, O, M },                                 // judged outlines, slider tracking, spinner progress
+   *   accent?,                                                     // slider ball, spinner timer
+   *   approach?:   { color, width, alpha, dash, image? },          // dash: canvas line dash, [] = solid
+   *   cursor?:     { color, size, image?, trail: { length, color, width } }, // trail length in frames, 0 = off
+   *   background?: { color, image?, dim, grid, gridColor, vignette }, // dim 0..1 darkens the image
+   *   popups?:     { color, size, labels: { P, G, O, M }, images?: { P?, G?, O?, M? } }
+   * }
+   * Every field is optional and falls back to the default skin. Colours are CSS colour strings;
+   * images are file names (resolved against the files loaded with the skin), URLs or data: URLs.
+   */
+  const SKIN_FORMAT = "bubble-rhythm-skin";
+  const SKIN_VERSION = 1;
+  const JUDGMENTS = ["P", "G", "O", "M"];
+
+  const DEFAULT_SKIN = {
+    format: SKIN_FORMAT,
+    version: SKIN_VERSION,
+    name: "Default",
+    author: "",
+    bubble: {
+      fill: "rgba(255,255,255,0.10)",
+      stroke: "rgba(255,255,255,0.55)",
+      strokeWidth: 2,
+      dot: "rgba(255,255,255,0.55)",
+      image: null,
+    },
+    judgments: {
+      P: "rgba(160,255,190,0.95)",
+      G: "rgba(160,255,190,0.80)",
+      O: "rgba(255,220,140,0.85)",
+      M: "rgba(255,120,120,0.90)",
+    },
+    accent: "rgba(120,170,255,0.85)",
+    approach: { color: "rgba(120,170,255,0.85)", width: 3, alpha: 0.65, dash: [], image: null },
+    cursor: {
+      color: "rgba(120,170,255,0.95)",
+      size: 6,
+      image: null,
+      trail: { length: 0, color: "rgba(120,170,255,0.5)", width: 3 },
+    },
+    background: {
+      color: null,
+      image: null,
+      dim: 0.6,
+      grid: true,
+      gridColor: "rgba(255,255,255,0.20)",
+      vignette: true,
+    },
+    popups: {
+      color: "rgba(255,255,255,0.70)",
+      size: 12,
+      labels: { P: "P", G: "G", O: "O", M: "MISS" },
+      images: { P: null, G: null, O: null, M: null },
+    },
+  };
+
+  function isFiniteNumber(v) { return typeof v === "number" && Number.isFinite(v); }
+  function isPlainObject(v) { return !!v && typeof v === "object" && !Array.isArray(v); }
+
+  function checkColor(v, path, nullable) {
+    if (v === null && nullable) return null;
+    if (typeof v !== "string" || !v.trim()) throw new Error(`${path} must be a colour string`);
+    return v.trim();
+  }
+
+  function checkNumber(v, path, min, max) {
+    if (!isFiniteNumber(v) || v < min || v > max) throw new Error(`${path} must be a number from ${min} to ${max}`);
+    return v;
+  }
+
+  function checkImage(v, path) {
+    if (v === null) return null;
+    if (typeof v !== "string" || !v.trim()) throw new Error(`${path} must be a file name or URL`);
+    return v.trim();
+  }
+
+  function checkBool(v, path) {
+    if (typeof v !== "boolean") throw new Error(`${path} must be true or false`);
+    return v;
+  }
+
+  function group(obj, key) {
+    if (obj[key] === undefined) return {};
+    if (!isPlainObject(obj[key])) throw new Error(`${key} must be an object`);
+    return obj[key];
+  }
+
+  // Takes `given` if set, else the default; `check` validates what was given
+  function pick(given, fallback, check) {
+    return given === undefined ? fallback : check(given);
+  }
+
+  /**
+   * Validates a skin object and fills every missing field from the default skin.
+   * Returns a new, complete skin object; throws Error with a readable message.
+   */
+  function parseSkinObject(obj) {
+    if (!isPlainObject(obj)) throw new Error("Skin must be a JSON object");
+    if (obj.format !== SKIN_FORMAT) throw new Error(`Not a skin file (format "${obj.format}")`);
+    if (!Number.isInteger(obj.version) || obj.version < 1) throw new Error("Skin version missing");
+    if (obj.version > SKIN_VERSION) throw new Error(`Skin version ${obj.version} is newer than supported (${SKIN_VERSION})`);
+    if (typeof obj.name !== "string" || !obj.name.trim()) throw new Error("Skin needs a name");
+    const d = DEFAULT_SKIN;
+
+    const bubble = group(obj, "bubble");
+    const judgments = group(obj, "judgments");
+    const approach = group(obj, "approach");
+    const cursor = group(obj, "cursor");
+    const background = group(obj, "background");
+    const popups = group(obj, "popups");
+    const trail = group(cursor, "trail");
+    const labels = group(popups, "labels");
+    const popupImages = group(popups, "images");
+
+    const dash = pick(approach.dash, d.approach.dash, (v) => {
+      if (!Array.isArray(v) || v.length > 8 || !v.every(x => isFiniteNumber(x) && x >= 0 && x <= 100)) {
+        throw new Error("approach.dash must be a list of up to 8 lengths (0 to 100)");
+      }
+      return v;
+    });
+
+    return {
+      format: SKIN_FORMAT,
+      version: SKIN_VERSION,
+      name: obj.name.trim(),
+      author: typeof obj.author === "string" ? obj.author.trim() : "",
+      bubble: {
+        fill: pick(bubble.fill, d.bubble.fill, v => checkColor(v, "bubble.fill")),
+        stroke: pick(bubble.stroke, d.bubble.stroke, v => checkColor(v, "bubble.stroke")),
+        strokeWidth: pick(bubble.strokeWidth, d.bubble.strokeWidth, v => checkNumber(v, "bubble.strokeWidth", 0, 12)),
+        dot: pick(bubble.dot, d.bubble.dot, v => checkColor(v, "bubble.dot", true)),
+        image: pick(bubble.image, d.bubble.image, v => checkImage(v, "bubble.image")),
+      },
+      judgments: Object.fromEntries(JUDGMENTS.map(j => [
+        j, pick(judgments[j], d.judgments[j], v => checkColor(v, `judgments.${j}`)),
+      ])),
+      accent: pick(obj.accent, d.accent, v => checkColor(v, "accent")),
+      approach: {
+        color: pick(approach.color, d.approach.color, v => checkColor(v, "approach.color")),
+        width: pick(approach.width, d.approach.width, v => checkNumber(v, "approach.width", 0.5, 12)),
+        alpha: pick(approach.alpha, d.approach.alpha, v => checkNumber(v, "approach.alpha", 0, 1)),
+        dash: dash.slice(),
+        image: pick(approach.image, d.approach.image, v => checkImage(v, "approach.image")),
+      },
+      cursor: {
+        color: pick(cursor.color, d.cursor.color, v => checkColor(v, "cursor.color")),
+        size: pick(cursor.size, d.cursor.size, v => checkNumber(v, "cursor.size", 1, 64)),
+        image: pick(cursor.image, d.cursor.image, v => checkImage(v, "cursor.image")),
+        trail: {
+          length: pick(trail.length, d.cursor.trail.length, v => checkNumber(v, "cursor.trail.length", 0, 60)),
+          color: pick(trail.color, d.cursor.trail.color, v => checkColor(v, "cursor.trail.color")),
+          width: pick(trail.width, d.cursor.trail.width, v => checkNumber(v, "cursor.trail.width", 0.5, 32)),
+        },
+      },
+      background: {
+        color: pick(background.color, d.background.color, v => checkColor(v, "background.color", true)),
+        image: pick(background.image, d.background.image, v => checkImage(v, "background.image")),
+        dim: pick(background.dim, d.background.dim, v => checkNumber(v, "background.dim", 0, 1)),
+        grid: pick(background.grid, d.background.grid, v => checkBool(v, "background.grid")),
+        gridColor: pick(background.gridColor, d.background.gridColor, v => checkColor(v, "background.gridColor")),
+        vignette: pick(background.vignette, d.background.vignette, v => checkBool(v, "background.vignette")),
+      },
+      popups: {
+        color: pick(popups.color, d.popups.color, v => checkColor(v, "popups.color")),
+        size: pick(popups.size, d.popups.size, v => checkNumber(v, "popups.size", 6, 64)),
+        labels: Object.fromEntries(JUDGMENTS.map(j => [j, pick(labels[j], d.popups.labels[j], (v) => {
+          if (typeof v !== "string" || v.length > 12) throw new Error(`popups.labels.${j} must be text of up to 12 characters`);
+          return v;
+        })])),
+        images: Object.fromEntries(JUDGMENTS.map(j => [
+          j, pick(popupImages[j], d.popups.images[j], v => checkImage(v, `popups.images.${j}`)),
+        ])),
+      },
+    };
+  }
+
+  function parseSkinJson(text) {
+    let obj;
+    try {
+      obj = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Invalid JSON: ${err.message}`);
+    }
+    return parseSkinObject(obj);
+  }
+
+  // Paths of every image field in a complete skin, e.g. ["bubble", "image"]
+  function imagePaths() {
+    return [
+      ["bubble", "image"],
+      ["approach", "image"],
+      ["cursor", "image"],
+      ["background", "image"],
+      ...JUDGMENTS.map(j => ["popups", "images", j]),
+    ];
+  }
+
+  /** Image references a complete skin uses, without duplicates. */
+  function skinImageRefs(skin) {
+    const refs = imagePaths().map(path => path.reduce((o, k) => o[k], skin)).filter(Boolean);
+    return [...new Set(refs)];
+  }
+
+  /** Copy of a complete skin with every image reference replaced by map(ref) (e.g. file name -> data: URL). */
+  function mapSkinImages(skin, map) {
+    const copy = JSON.parse(JSON.stringify(skin));
+    for (const path of imagePaths()) {
+      const last = path[path.length - 1];
+      const owner = path.slice(0, -1).reduce((o, k) => o[k], copy);
+      if (owner[last]) owner[last] = map(owner[last]);
+    }
+    return copy;
+  }
+
+  // References that need a loaded file: anything that isn't already a URL
+  function isImageUrl(ref) {
+    return /^(data:|blob:|https?:\/\/|\.{0,2}\/)/i.test(ref);
+  }
+
+  // ---------------------- Built-in Skins ----------------------
+  // Okabe-Ito colours: told apart with any form of colour blindness
+  const BUILTIN_SKINS = [
+    { id: "default", skin: DEFAULT_SKIN },
+    {
+      id: "high-contrast",
+      skin: parseSkinObject({
+        format: SKIN_FORMAT, version: SKIN_VERSION,
+        name: "High contrast",
+        bubble: { fill: "rgba(0,0,0,0.75)", stroke: "#ffffff", strokeWidth: 4, dot: "#ffffff" },
+        judgments: { P: "#00ff66", G: "#00d5ff", O: "#ffd400", M: "#ff2d55" },
+        accent: "#ffd400",
+        approach: { color: "#ffd400", width: 4, alpha: 1 },
+        cursor: { color: "#ffd400", size: 8, trail: { length: 8, color: "rgba(255,212,0,0.6)", width: 4 } },
+        background: { color: "#000000", grid: false, vignette: false },
+        popups: { color: "#ffffff", size: 16, labels: { P: "300", G: "100", O: "50", M: "X" } },
+      }),
+    },
+    {
+      id: "colour-blind",
+      skin: parseSkinObject({
+        format: SKIN_FORMAT, version: SKIN_VERSION,
+        name: "Colour-blind safe",
+        judgments: { P: "#56b4e9", G: "#009e73", O: "#f0e442", M: "#d55e00" },
+        accent: "#e69f00",
+        approach: { color: "#e69f00", width: 3, alpha: 0.85 },
+        cursor: { color: "#e69f00" },
+        popups: { color: "rgba(255,255,255,0.85)", size: 13, labels: { P: "PERFECT", G: "GOOD", O: "OK", M: "MISS" } },
+      }),
+    },
+  ];
+
+  return {
+    SKIN_FORMAT,
+    SKIN_VERSION,
+    DEFAULT_SKIN,
+    BUILTIN_SKINS,
+    parseSkinObject,
+    parseSkinJson,
+    skinImageRefs,
+    mapSkinImages,
+    isImageUrl,
+  };
+});
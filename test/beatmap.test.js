@@ -0,0 +1,127 @@
+// Chart files: JSON round trip and versions, content hash, .osu import
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Beatmap = require("../beatmap.js");
+const Engine = require("../engine.js");
+
+const CHART = {
+  title: "Hash me",
+  durationMs: 4000,
+  timing: {},
+  notes: [
+    { tMs: 1000, xN: 0.25, yN: 0.5 },
+    { tMs: 1500, xN: 0.75, yN: 0.5, rN: 1.2 },
+  ],
+};
+
+const SLIDER = {
+  type: "slider", tMs: 2000, endMs: 2900, xN: 0.2, yN: 0.2,
+  path: { curve: "linear", points: [{ xN: 0.6, yN: 0.2 }] },
+};
+
+const OSU = `osu file format v14
+
+[General]
+AudioFilename: audio.mp3
+AudioLeadIn: 0
+Mode: 0
+
+[Metadata]
+Title:Test Song
+Artist:Someone
+Version:Hard
+
+[Difficulty]
+HPDrainRate:5
+CircleSize:4
+OverallDifficulty:8
+ApproachRate:9
+SliderMultiplier:1.4
+SliderTickRate:1
+
+[TimingPoints]
+1000,500,4,2,0,60,1,0
+3000,-50,4,2,0,60,0,0
+
+[HitObjects]
+256,192,1000,1,0,0:0:0:0:
+100,100,1500,5,0,0:0:0:0:
+300,300,2000,2,0,B|350:300|400:200,1,140
+256,192,3000,12,0,4000,0:0:0:0:
+`;
+
+test("beatmapHash is stable and covers only what changes play", () => {
+  const hash = Beatmap.beatmapHash(CHART);
+  // Scores and replays are keyed by this value: changing it orphans every saved one
+  assert.equal(hash, "61afe539");
+  assert.equal(Beatmap.beatmapHash(Beatmap.parseBeatmapJson(Beatmap.beatmapToJson(CHART))), hash);
+  assert.equal(Beatmap.beatmapHash({ ...CHART, title: "Renamed" }), hash);
+  assert.equal(Beatmap.beatmapHash({ ...CHART, notes: CHART.notes.map(n => ({ ...n, hitsound: "clap" })) }), hash);
+
+  assert.notEqual(Beatmap.beatmapHash({ ...CHART, notes: [CHART.notes[0], { ...CHART.notes[1], tMs: 1501 }] }), hash);
+  assert.notEqual(Beatmap.beatmapHash({ ...CHART, timing: { preemptMs: 800 } }), hash);
+  assert.notEqual(Beatmap.beatmapHash({ ...CHART, difficulty: { od: 8 } }), hash);
+});
+
+test("bpm is hashed only when a slider takes its ticks from it", () => {
+  assert.equal(Beatmap.beatmapHash({ ...CHART, bpm: 120 }), Beatmap.beatmapHash(CHART));
+
+  const sliders = { ...CHART, notes: [...CHART.notes, SLIDER] };
+  assert.notEqual(Beatmap.beatmapHash({ ...sliders, bpm: 120 }), Beatmap.beatmapHash({ ...sliders, bpm: 100 }));
+
+  const ticked = { ...CHART, notes: [...CHART.notes, { ...SLIDER, tickMs: 300 }] };
+  assert.equal(Beatmap.beatmapHash({ ...ticked, bpm: 120 }), Beatmap.beatmapHash({ ...ticked, bpm: 100 }));
+});
+
+test("charts are saved as the lowest version that holds them and both versions load", () => {
+  const plain = JSON.parse(Beatmap.beatmapToJson(CHART));
+  assert.equal(plain.version, 1);
+
+  const withSlider = JSON.parse(Beatmap.beatmapToJson({ ...CHART, notes: [...CHART.notes, SLIDER] }));
+  assert.equal(withSlider.version, 2);
+  assert.equal(Beatmap.BEATMAP_VERSION, 2);
+  assert.equal(JSON.parse(Beatmap.beatmapToJson({ ...CHART, sections: [{ name: "Intro", tMs: 0 }] })).version, 2);
+
+  // Files from before the bump carry sliders under version 1
+  const old = Beatmap.parseBeatmapObject({ ...withSlider, version: 1 });
+  assert.equal(old.notes[2].type, "slider");
+  assert.throws(() => Beatmap.parseBeatmapObject({ ...withSlider, version: 3 }), /newer than supported/);
+});
+
+test("parseOsu converts circles, sliders, spinners and difficulty", () => {
+  assert.ok(Beatmap.isOsuText(OSU));
+  const { beatmap, warnings } = Beatmap.parseOsu(OSU);
+  assert.deepEqual(warnings, []);
+
+  assert.equal(beatmap.title, "Someone - Test Song [Hard]");
+  assert.deepEqual(beatmap.difficulty, { ar: 9, od: 8, cs: 4, hp: 5 });
+  assert.equal(beatmap.bpm, 120);
+  assert.equal(beatmap.offsetMs, 1000);
+  assert.equal(beatmap.audio, "audio.mp3");
+
+  const [circle, second, slider, spinner] = beatmap.notes;
+  assert.deepEqual(circle, { tMs: 1000, xN: 0.5, yN: 0.5 });
+  assert.equal(second.xN, 100 / 512);
+  assert.equal(second.yN, 100 / 384);
+
+  // 140px at 1.4 * 100px per 500ms beat: one beat long, one tick per beat
+  assert.equal(slider.type, "slider");
+  assert.equal(slider.endMs, 2500);
+  assert.equal(slider.tickMs, 500);
+  assert.equal(slider.path.curve, "linear");
+
+  assert.equal(spinner.type, "spinner");
+  assert.equal(spinner.endMs, 4000);
+
+  assert.equal(Engine.simulateAutoplay(beatmap).accuracy, 1);
+});
+
+test("parseOsu falls back to one tick per beat for a zero or missing SliderTickRate", () => {
+  for (const rate of ["SliderTickRate:0\n", "SliderTickRate:-2\n", ""]) {
+    const { beatmap } = Beatmap.parseOsu(OSU.replace("SliderTickRate:1\n", rate));
+    const slider = beatmap.notes.find(n => n.type === "slider");
+    assert.equal(slider.tickMs, 500, JSON.stringify(rate));
+    // The exported chart loads again
+    assert.equal(Beatmap.parseBeatmapJson(Beatmap.beatmapToJson(beatmap)).notes[2].tickMs, 500);
+  }
+});
@@ -0,0 +1,172 @@
+// Browser client (main.js) in jsdom: the demo chart, and what input reaches the engine (and the replay)
+// while a run is paused
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+const ROOT = path.join(__dirname, "..");
+
+// Canvas context that accepts every call and draws nothing
+function stubContext() {
+  const gradient = { addColorStop() {} };
+  return new Proxy({}, {
+    get(target, key) {
+      if (key in target) return target[key];
+      if (key === "createRadialGradient" || key === "createLinearGradient") return () => gradient;
+      if (key === "measureText") return (text) => ({ width: String(text).length * 6 });
+      if (key === "getLineDash") return () => [];
+      return () => {};
+    },
+  });
+}
+
+// index.html with its scripts, the canvas stubbed out and the clock under the test's control
+async function loadPage() {
+  const dom = await JSDOM.fromFile(path.join(ROOT, "index.html"), {
+    runScripts: "dangerously",
+    resources: "usable",
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole(),
+    beforeParse(window) {
+      window.HTMLCanvasElement.prototype.getContext = stubContext;
+      window.HTMLElement.prototype.getBoundingClientRect = () =>
+        ({ left: 0, top: 0, width: 1000, height: 700, right: 1000, bottom: 700, x: 0, y: 0 });
+    },
+  });
+  await new Promise(resolve => dom.window.addEventListener("load", resolve));
+  const page = dom.window;
+  page.clockMs = 0;
+  page.eval("nowMs = () => window.clockMs;");
+  return page;
+}
+
+// A run of the demo chart started just before its spinner, paused inside it
+async function pausedInSpinner(t) {
+  const page = await loadPage();
+  t.after(() => page.close());
+  page.eval("startGame(STATE.beatmap.notes.find(n => n.type === 'spinner').tMs - 500)");
+  const spinner = page.eval("STATE.game.notes.find(n => n.kind === 'spinner')");
+  page.clockMs += spinner.tMs + 200 - page.eval("getSongTimeMs()");
+  page.eval("tick()");
+  assert.equal(spinner.state, "active");
+  page.eval("togglePause()");
+  return { page, spinner };
+}
+
+// Cursor positions around the spinner, well outside its dead zone
+function circle(spinner, steps) {
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const a = (i / steps) * 4 * Math.PI;
+    points.push({ x: spinner.x + 3 * spinner.r * Math.cos(a), y: spinner.y + 3 * spinner.r * Math.sin(a) });
+  }
+  return points;
+}
+
+test("mouse moves while paused don't spin a spinner or go into the replay", async (t) => {
+  const { page, spinner } = await pausedInSpinner(t);
+  const events = page.eval("STATE.replay.events.length");
+
+  for (const p of circle(spinner, 32)) {
+    page.document.getElementById("game")
+      .dispatchEvent(new page.MouseEvent("mousemove", { clientX: p.x, clientY: p.y }));
+  }
+  assert.equal(spinner.spinAngle, 0);
+  assert.equal(spinner.bonusSpins, 0);
+  assert.equal(page.eval("STATE.replay.events.length"), events);
+
+  // The same circles count once the run is resumed and song time moves
+  page.eval("togglePause()");
+  for (const p of circle(spinner, 32)) {
+    page.clockMs += 10;
+    page.document.getElementById("game")
+      .dispatchEvent(new page.MouseEvent("mousemove", { clientX: p.x, clientY: p.y }));
+  }
+  assert.ok(Math.abs(spinner.spinAngle) > 3 * Math.PI);
+});
+
+test("a held gamepad stick while paused doesn't spin a spinner or go into the replay", async (t) => {
+  const { page, spinner } = await pausedInSpinner(t);
+  const events = page.eval("STATE.replay.events.length");
+  page.eval(`STATE.cursorX = ${spinner.x + 3 * spinner.r}; STATE.cursorY = ${spinner.y};`);
+
+  // Stick swept round in circles, one poll per 16ms frame of wall-clock time
+  let angle = Math.PI / 2;
+  const pad = { index: 0, connected: true, buttons: [], axes: [0, 0] };
+  Object.defineProperty(page.navigator, "getGamepads", { configurable: true, value: () => [pad] });
+  for (let i = 0; i < 120; i++) {
+    angle += Math.PI / 15;
+    pad.axes = [Math.cos(angle), Math.sin(angle)];
+    page.clockMs += 16;
+    page.eval("pollGamepads()");
+  }
+  assert.notEqual(page.eval("STATE.cursorX"), spinner.x + 3 * spinner.r, "the cursor still follows the stick");
+  assert.equal(spinner.spinAngle, 0);
+  assert.equal(page.eval("STATE.replay.events.length"), events);
+});
+
+// The demo chart as buildBeatmap() wrote it out in loops before it became a pattern description
+function loopDemoChart() {
+  const lerp = (a, b, f) => a + (b - a) * f;
+  const notes = [];
+  const sections = [];
+  let t = 1200;
+
+  sections.push({ name: "Wave", tMs: t });
+  for (let i = 0; i < 18; i++) notes.push({ tMs: t + i * 420, xN: lerp(0.12, 0.88, i / 17), yN: 0.50 + 0.22 * Math.sin(i * 0.55) });
+  t += 18 * 420 + 600;
+
+  sections.push({ name: "Ring", tMs: t });
+  for (let i = 0; i < 14; i++) {
+    const a = -Math.PI / 2 + i * (2 * Math.PI / 14);
+    notes.push({ tMs: t + i * 300, xN: 0.50 + 0.26 * Math.cos(a), yN: 0.52 + 0.26 * Math.sin(a) });
+  }
+  t += 14 * 300 + 450;
+
+  sections.push({ name: "Chords", tMs: t });
+  for (const [x, y] of [[0.22, 0.30], [0.78, 0.30], [0.22, 0.74], [0.78, 0.74]]) notes.push({ tMs: t, xN: x, yN: y });
+  for (let i = 0; i < 10; i++) notes.push({ tMs: t + 620 + i * 340, xN: 0.18 + 0.64 * (i / 9), yN: 0.50 + 0.18 * Math.sin(i * 0.9 + 1.2) });
+  t += 620 + 10 * 340 + 500;
+
+  sections.push({ name: "Doubles", tMs: t });
+  for (let i = 0; i < 8; i++) {
+    const y = 0.50 + 0.22 * Math.cos(i * 0.55);
+    notes.push({ tMs: t + i * 320, xN: 0.30 + 0.10 * Math.sin(i * 0.6), yN: y });
+    notes.push({ tMs: t + i * 320, xN: 0.70 + 0.10 * Math.sin(i * 0.6 + 1.4), yN: y });
+  }
+  t += 8 * 320 + 520;
+  for (let i = 0; i < 10; i++) {
+    const a = Math.PI / 2 + i * (2 * Math.PI / 10);
+    notes.push({ tMs: t + i * 260, xN: 0.50 + 0.24 * Math.cos(a), yN: 0.52 + 0.24 * Math.sin(a) });
+  }
+  t += 10 * 260 + 450;
+
+  sections.push({ name: "Sliders", tMs: t });
+  notes.push({ type: "slider", tMs: t, endMs: t + 1000, xN: 0.25, yN: 0.35, tickMs: 500, path: { curve: "linear", points: [{ xN: 0.62, yN: 0.35 }] } });
+  t += 1400;
+  notes.push({ type: "slider", tMs: t, endMs: t + 1500, xN: 0.72, yN: 0.42, tickMs: 500, path: { curve: "arc", points: [{ xN: 0.55, yN: 0.72 }, { xN: 0.30, yN: 0.56 }] } });
+  t += 1900;
+  notes.push({ type: "slider", tMs: t, endMs: t + 2000, xN: 0.34, yN: 0.70, slides: 2, tickMs: 500, path: { curve: "bezier", points: [{ xN: 0.50, yN: 0.40 }, { xN: 0.66, yN: 0.70 }] } });
+  t += 2450;
+
+  sections.push({ name: "Spinner", tMs: t });
+  notes.push({ type: "spinner", tMs: t, endMs: t + 3000, xN: 0.5, yN: 0.5 });
+  t += 3000;
+
+  notes.sort((a, b) => a.tMs - b.tMs);
+  return { durationMs: t + 1200, sections, notes };
+}
+
+test("the demo chart's patterns build exactly the notes it had as loops", async (t) => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const demo = JSON.parse(page.eval("JSON.stringify(buildBeatmap())"));
+  const loops = loopDemoChart();
+
+  // Bit-for-bit: the content hash, and with it every score, replay and practice log, depends on it
+  assert.deepEqual(demo.notes, loops.notes);
+  assert.deepEqual(demo.sections, loops.sections);
+  assert.equal(demo.durationMs, loops.durationMs);
+  assert.equal(page.eval("beatmapHash(buildBeatmap())"), "183398a4");
+});
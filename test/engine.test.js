@@ -0,0 +1,117 @@
+// Headless engine: autoplay, HP fail / No Fail, scoring models and grades
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Engine = require("../engine.js");
+
+// Steady stream across the playfield, one note every 300ms
+function stream(count, extra = {}) {
+  const notes = [];
+  for (let i = 0; i < count; i++) notes.push({ tMs: 1000 + i * 300, xN: (i % 5) / 4, yN: 0.5 });
+  return { title: "Stream", durationMs: 2200 + count * 300, timing: {}, notes, ...extra };
+}
+
+// Inputs that land exactly on the notes whose index passes keep()
+function hitsOn(chart, keep) {
+  return chart.notes.filter((n, i) => keep(i)).map(n => ({ tMs: n.tMs, xN: n.xN, yN: n.yN }));
+}
+
+test("autoplay gives a perfect run", () => {
+  const chart = {
+    title: "Mixed", durationMs: 6000, timing: {},
+    notes: [
+      { tMs: 1000, xN: 0.2, yN: 0.3 },
+      { tMs: 1400, xN: 0.8, yN: 0.3 },
+      { type: "slider", tMs: 1800, endMs: 2600, xN: 0.2, yN: 0.7, path: { curve: "linear", points: [{ xN: 0.8, yN: 0.7 }] } },
+      { type: "spinner", tMs: 3000, endMs: 4500, xN: 0.5, yN: 0.5 },
+    ],
+  };
+  for (const mods of [[], ["HR"], ["DT", "HD"]]) {
+    const r = Engine.simulateAutoplay(chart, { mods });
+    assert.equal(r.accuracy, 1, `accuracy with ${mods}`);
+    assert.deepEqual(r.imperfect, []);
+    assert.equal(r.stats.m, 0);
+    assert.equal(r.stats.failed, false);
+    assert.equal(r.finished, true);
+    assert.equal(Engine.computeGrade(r.stats), "SS");
+  }
+});
+
+test("missing every note fails the run, No Fail plays it out", () => {
+  const chart = stream(30, { difficulty: { hp: 8 } });
+
+  const failed = Engine.simulate(chart, []);
+  assert.equal(failed.stats.failed, true);
+  assert.equal(typeof failed.stats.failedAtMs, "number");
+  assert.equal(failed.stats.hp, 0);
+  assert.ok(failed.stats.m < chart.notes.length, "the run stops at the fail");
+  assert.equal(failed.finished, false);
+
+  const noFail = Engine.simulate(chart, [], { mods: ["NF"] });
+  assert.equal(noFail.stats.failed, false);
+  assert.equal(noFail.stats.failedAtMs, null);
+  assert.equal(noFail.stats.m, chart.notes.length);
+  assert.equal(noFail.finished, true);
+  assert.equal(Engine.computeGrade(noFail.stats), "D");
+});
+
+test("capped scoring models never pass SCORE_MAX, mods included", () => {
+  const chart = stream(12);
+  const max = Engine.DEFAULT_CONFIG.SCORE_MAX;
+  for (const scoring of ["normalized", "accuracy"]) {
+    for (const mods of [[], ["HR"], ["HD", "DT"], ["EZ"], ["NF"]]) {
+      const r = Engine.simulateAutoplay(chart, { scoring, mods });
+      const expected = Math.min(max, max * Engine.modScoreMultiplier(mods));
+      assert.ok(Math.abs(r.stats.score - expected) < 1e-6, `${scoring} ${mods}: ${r.stats.score} != ${expected}`);
+      assert.equal(Engine.computeGrade(r.stats, scoring), "SS");
+    }
+    assert.equal(Engine.simulate(chart, [], { scoring, mods: ["NF"] }).stats.score, 0);
+
+    // Below the cap an upward multiplier still counts
+    const half = hitsOn(chart, i => i < 6);
+    const plain = Engine.simulate(chart, half, { scoring, mods: ["NF"] }).stats.score;
+    const hidden = Engine.simulate(chart, half, { scoring, mods: ["NF", "HD"] }).stats.score;
+    assert.ok(Math.abs(hidden - plain * 1.06) < 1e-6, `${scoring}: ${hidden} != ${plain} * 1.06`);
+  }
+});
+
+test("combo scoring grows with the combo and has no cap", () => {
+  const short = Engine.simulateAutoplay(stream(12)).stats.score;
+  const long = Engine.simulateAutoplay(stream(24)).stats.score;
+  assert.ok(long > 2 * short);
+  assert.ok(Math.abs(Engine.simulateAutoplay(stream(12), { mods: ["HR"] }).stats.score - short * 1.06) < 1e-6);
+});
+
+test("accuracy scoring counts the whole chart; normalized also weighs combo", () => {
+  const chart = stream(20);
+  const max = Engine.DEFAULT_CONFIG.SCORE_MAX;
+
+  const half = Engine.simulate(chart, hitsOn(chart, i => i < 10), { scoring: "accuracy" });
+  assert.equal(half.stats.p, 10);
+  assert.ok(Math.abs(half.stats.score - max / 2) < 1e-6);
+
+  // Same hits, combo broken every other note instead of once: less combo share, same accuracy share
+  const firstHalf = Engine.simulate(chart, hitsOn(chart, i => i < 10), { scoring: "normalized" });
+  const everyOther = Engine.simulate(chart, hitsOn(chart, i => i % 2 === 0), { scoring: "normalized" });
+  assert.equal(everyOther.stats.p, 10);
+  assert.ok(everyOther.stats.score < firstHalf.stats.score);
+  assert.ok(firstHalf.stats.score < max / 2, "half the notes is less than half the score once combo counts");
+});
+
+test("grades follow each model's thresholds", () => {
+  const stats = (p, g, m) => ({ p, g, o: 0, m, totalJudged: p + g + m });
+  // 19 P + 1 G = 98.75%: S in the combo model, A once a miss drops the no-miss S
+  assert.equal(Engine.computeGrade(stats(19, 1, 0), "combo"), "S");
+  assert.equal(Engine.computeGrade(stats(18, 1, 1), "combo"), "A");
+  assert.equal(Engine.computeGrade(stats(18, 1, 1), "accuracy"), "A");
+  assert.equal(Engine.computeGrade(stats(19, 0, 1), "accuracy"), "S");
+  assert.equal(Engine.computeGrade(stats(0, 0, 0), "combo"), "D");
+  // Normalized grades come from its scorer's ratio
+  assert.equal(Engine.computeGrade(stats(10, 0, 0), "normalized", 0.85), "A");
+  assert.equal(Engine.computeGrade(stats(10, 0, 0), "normalized", 0.95), "S");
+  assert.throws(() => Engine.computeGrade(stats(1, 0, 0), "nope"), /Unknown scoring model/);
+
+  for (const [id, model] of Object.entries(Engine.SCORING_MODELS)) {
+    const mins = model.grades.map(g => g.min);
+    assert.deepEqual(mins, mins.slice().sort((a, b) => b - a), `${id} grades run best first`);
+  }
+});